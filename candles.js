@@ -0,0 +1,237 @@
+'use strict';
+
+const EventEmitter = require('events');
+const { isArray, isNumber, isString } = require('lodash');
+const { ValidationError } = require('./errors');
+const { toNumbers } = require('./decimals');
+const { round } = require('./utils');
+
+const INTERVAL_UNITS = {
+	s: 1000,
+	m: 60 * 1000,
+	h: 60 * 60 * 1000,
+	d: 24 * 60 * 60 * 1000
+};
+
+/**
+ * Convert an interval to milliseconds
+ * @param {string|number} interval - An interval such as '30s', '1m', '5m', '1h', '1d', or a number of milliseconds
+ * @return {number} The interval in milliseconds
+ */
+const parseInterval = (interval) => {
+	if (isNumber(interval) && interval > 0) {
+		return interval;
+	}
+	const match = isString(interval) && /^(\d+)([smhd])$/.exec(interval);
+	if (!match || Number(match[1]) <= 0) {
+		throw new ValidationError(`Invalid interval ${interval}, use a number of milliseconds or a value such as 1m, 5m, 1h or 1d`);
+	}
+	return Number(match[1]) * INTERVAL_UNITS[match[2]];
+};
+
+const getTradeKey = (trade) => [trade.timestamp, trade.side, trade.size, trade.price].join('|');
+
+class CandleAggregator extends EventEmitter {
+	/**
+	 * OHLCV bars of a symbol built from public trades
+	 * @param {object} client - The HollaExKit client
+	 * @param {string} symbol - The currency pair symbol e.g. 'xht-usdt'
+	 * @param {object} opts - Optional parameters
+	 * @param {string|number} opts.interval - The bar interval e.g. '1m', '5m', '1h', '1d'. Default: '1m'
+	 * @param {number} opts.maxBars - Maximum number of closed bars kept in memory. Default: 1000
+	 * @param {boolean} opts.fillGaps - Emit flat bars with zero volume for intervals without trades. Default: true
+	 */
+	constructor(client, symbol, opts = { interval: '1m', maxBars: 1000, fillGaps: true }) {
+		super();
+		this.client = client;
+		this.symbol = symbol;
+		this.interval = parseInterval(opts.interval || '1m');
+		this.maxBars = opts.maxBars || 1000;
+		this.fillGaps = opts.fillGaps !== false;
+		this.bars = [];
+		this.current = null;
+		this.timer = null;
+		// Occurrences of each seeded trade that the websocket has not repeated yet
+		this.unmatched = {};
+		this.held = null;
+		this.onTrade = (message) => {
+			// The partial repeats the recent trades already seeded from getTrades
+			if (message.symbol === this.symbol && message.action !== 'partial' && isArray(message.data)) {
+				toNumbers(message.data).forEach((trade) => this.receiveTrade(trade));
+			}
+		};
+	}
+
+	/**
+	 * Seed the bars with getTrades and start following the trade topic
+	 * Websocket trades already in the seed are skipped
+	 * @return {object} A promise resolving to the aggregator
+	 */
+	start() {
+		this.client.removeListener('trade', this.onTrade);
+		this.client.on('trade', this.onTrade);
+		this.held = [];
+
+		return this.client.getTrades({ symbol: this.symbol }).then((response) => {
+			const trades = (response && response[this.symbol]) || [];
+			this.unmatched = {};
+			toNumbers(trades)
+				.sort((a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp))
+				.forEach((trade) => {
+					const key = getTradeKey(trade);
+					this.unmatched[key] = (this.unmatched[key] || 0) + 1;
+					this.addTrade(trade, { silent: true });
+				});
+			this.closeElapsed(Date.now(), { silent: true });
+			this.releaseHeld();
+			this.schedule();
+			return this;
+		}, (err) => {
+			this.releaseHeld();
+			throw err;
+		});
+	}
+
+	receiveTrade(trade) {
+		// Trades received while the seed loads may be part of it
+		if (this.held) {
+			this.held.push(trade);
+			return;
+		}
+		// Each seeded trade is skipped once, so identical trades the seed does not hold still count
+		const key = getTradeKey(trade);
+		if (this.unmatched[key] > 0) {
+			this.unmatched[key]--;
+			return;
+		}
+		this.addTrade(trade);
+	}
+
+	releaseHeld() {
+		const held = this.held || [];
+		this.held = null;
+		held.forEach((trade) => this.receiveTrade(trade));
+	}
+
+	/**
+	 * Stop following the trade topic and closing bars on time
+	 */
+	stop() {
+		this.client.removeListener('trade', this.onTrade);
+		clearTimeout(this.timer);
+		this.timer = null;
+	}
+
+	/**
+	 * Add a trade to the bar of its interval
+	 * @param {object} trade - A trade with keys price, size and timestamp
+	 * @param {object} opts - Optional parameters
+	 * @param {boolean} opts.silent - Do not emit events
+	 */
+	addTrade(trade, opts = { silent: false }) {
+		const time = Date.parse(trade.timestamp);
+		if (isNaN(time)) {
+			return;
+		}
+		const start = Math.floor(time / this.interval) * this.interval;
+		const last = this.bars[this.bars.length - 1];
+
+		if (this.current ? start < this.current.time : last && start <= last.time) {
+			// Late trades amend the bar they belong to if it is still kept
+			const bar = this.bars.find((item) => item.time === start);
+			if (bar) {
+				this.updateBar(bar, trade);
+				if (!opts.silent) {
+					this.emit('bar:update', { ...bar });
+				}
+			}
+			return;
+		}
+
+		this.closeElapsed(start, opts);
+
+		if (!this.current) {
+			this.current = this.createBar(start, trade.price);
+		}
+		this.updateBar(this.current, trade);
+
+		if (!opts.silent) {
+			this.emit('bar:update', { ...this.current });
+		}
+	}
+
+	// Close the current bar and fill the intervals without trades up to the one containing time
+	closeElapsed(time, opts = { silent: false }) {
+		const start = Math.floor(time / this.interval) * this.interval;
+
+		while (this.current && this.current.time < start) {
+			const closed = this.current;
+			this.bars.push(closed);
+			if (this.bars.length > this.maxBars) {
+				this.bars.shift();
+			}
+			if (!opts.silent) {
+				this.emit('bar:closed', { ...closed });
+			}
+
+			// Without gap filling the next bar only starts with the next trade
+			if (this.fillGaps) {
+				// Flat bars older than maxBars would be trimmed right away, so skip them
+				const next = Math.max(closed.time + this.interval, start - this.maxBars * this.interval);
+				this.current = this.createBar(next, closed.close);
+			} else {
+				this.current = null;
+			}
+		}
+	}
+
+	createBar(time, price) {
+		return { time, open: price, high: price, low: price, close: price, volume: 0, trades: 0 };
+	}
+
+	updateBar(bar, trade) {
+		if (bar.trades === 0) {
+			bar.open = trade.price;
+			bar.high = trade.price;
+			bar.low = trade.price;
+		}
+		bar.high = Math.max(bar.high, trade.price);
+		bar.low = Math.min(bar.low, trade.price);
+		bar.close = trade.price;
+		bar.volume = round(bar.volume + trade.size);
+		bar.trades++;
+	}
+
+	schedule() {
+		clearTimeout(this.timer);
+		const next = (Math.floor(Date.now() / this.interval) + 1) * this.interval;
+		this.timer = setTimeout(() => {
+			this.closeElapsed(Date.now());
+			this.schedule();
+		}, next - Date.now());
+		if (this.timer.unref) {
+			this.timer.unref();
+		}
+	}
+
+	/**
+	 * @param {number} limit - Number of most recent closed bars to return. Default: all
+	 * @return {array} The closed bars, oldest first, as objects with keys time(number), open, high, low, close, volume and trades
+	 */
+	getBars(limit) {
+		const bars = isNumber(limit) ? this.bars.slice(-limit) : this.bars;
+		return bars.map((bar) => ({ ...bar }));
+	}
+
+	/**
+	 * @return {object} The bar of the current interval, or null before the first trade
+	 */
+	getCurrentBar() {
+		return this.current ? { ...this.current } : null;
+	}
+}
+
+module.exports = {
+	parseInterval,
+	CandleAggregator
+};
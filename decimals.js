@@ -0,0 +1,88 @@
+'use strict';
+
+const Decimal = require('decimal.js');
+const { isArray, isNumber, isPlainObject, isString, mapValues } = require('lodash');
+
+// Keys holding prices, sizes and amounts in orders, trades, deposits and withdrawals
+const DECIMAL_KEYS = ['price', 'size', 'filled', 'average', 'stop', 'fee', 'amount'];
+
+// Balance keys e.g. usdt_balance, usdt_available, usdt_pending
+const BALANCE_KEY = /_(balance|available|pending)$/;
+
+// Orderbook levels are [price, size] arrays
+const LEVEL_KEYS = ['bids', 'asks'];
+
+const isNumeric = (value) => isNumber(value) || (isString(value) && value !== '' && !isNaN(value));
+
+const toDecimal = (value) => isNumeric(value) ? new Decimal(value) : value;
+
+/**
+ * Convert the prices, sizes and balances of a response or websocket message into Decimals
+ * @param {object} value - A parsed response body or websocket message
+ * @param {string} key - The key the value was found under
+ * @return {object} A copy of the value with Decimals in place of the numbers
+ */
+const parseDecimals = (value, key = null) => {
+	if (isArray(value)) {
+		if (LEVEL_KEYS.includes(key)) {
+			return value.map((level) => isArray(level) ? level.map(toDecimal) : parseDecimals(level));
+		}
+		return value.map((item) => parseDecimals(item));
+	}
+	if (isPlainObject(value)) {
+		return mapValues(value, (item, itemKey) => {
+			if (DECIMAL_KEYS.includes(itemKey) || BALANCE_KEY.test(itemKey)) {
+				return toDecimal(item);
+			}
+			return parseDecimals(item, itemKey);
+		});
+	}
+	return value;
+};
+
+/**
+ * Convert the Decimals of a value back into numbers, leaving anything else untouched
+ * @param {object} value - A value possibly returned by parseDecimals
+ * @return {object} The value with numbers in place of the Decimals
+ */
+const toNumbers = (value) => {
+	if (Decimal.isDecimal(value)) {
+		return value.toNumber();
+	}
+	if (isArray(value)) {
+		return value.map(toNumbers);
+	}
+	if (isPlainObject(value)) {
+		return mapValues(value, toNumbers);
+	}
+	return value;
+};
+
+/**
+ * Round a size or price to a multiple of an increment without float errors
+ * @param {number|string|object} value - The value as a number, numeric string or Decimal
+ * @param {number} increment - The increment e.g. 0.001
+ * @param {string} mode - Rounding mode. Enum: ['round', 'floor', 'ceil']. Default: 'round'
+ * @return {number} The rounded value
+ */
+const formatToIncrement = (value, increment, mode = 'round') => {
+	// Numbers are cut to the 15 significant digits a float holds so 0.1 + 0.2 is treated as 0.3
+	const decimal = isNumber(value) ? new Decimal(value).toSignificantDigits(15) : new Decimal(value);
+	if (!isNumber(increment) || increment <= 0) {
+		return decimal.toNumber();
+	}
+	const rounding = mode === 'floor'
+		? Decimal.ROUND_FLOOR
+		: mode === 'ceil'
+			? Decimal.ROUND_CEIL
+			: Decimal.ROUND_HALF_UP;
+	return decimal.toNearest(increment, rounding).toNumber();
+};
+
+module.exports = {
+	Decimal,
+	isNumeric,
+	parseDecimals,
+	toNumbers,
+	formatToIncrement
+};
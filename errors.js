@@ -0,0 +1,141 @@
+'use strict';
+
+const { isNumber, isPlainObject, isString } = require('lodash');
+
+class HollaExError extends Error {
+	/**
+	 * Base class of every error returned by the library
+	 * @param {string} message - The server message or a description of the error
+	 * @param {object} opts - Optional parameters
+	 * @param {number} opts.status - HTTP status code of the response
+	 * @param {string} opts.path - Endpoint path of the request e.g. '/v2/order'
+	 * @param {string} opts.requestId - Request id reported by the server
+	 * @param {object} opts.response - Raw response with keys statusCode, headers and body
+	 */
+	constructor(message, opts = { status: null, path: null, requestId: null, response: null }) {
+		super(message);
+		this.name = this.constructor.name;
+		this.status = opts.status || null;
+		this.path = opts.path || null;
+		this.requestId = opts.requestId || null;
+		this.response = opts.response || null;
+	}
+
+	// Alias kept for code written against request-promise errors
+	get statusCode() {
+		return this.status;
+	}
+}
+
+class AuthenticationError extends HollaExError {}
+
+class RateLimitError extends HollaExError {
+	constructor(message, opts = {}) {
+		super(message, opts);
+		this.retryAfter = opts.retryAfter || null;
+	}
+}
+
+class ValidationError extends HollaExError {}
+
+class InsufficientBalanceError extends HollaExError {}
+
+class OrderNotFoundError extends HollaExError {}
+
+class NetworkError extends HollaExError {
+	constructor(message, opts = {}) {
+		super(message, opts);
+		this.code = opts.code || null;
+		this.cause = opts.cause || null;
+	}
+}
+
+class SubscriptionError extends HollaExError {
+	constructor(message, opts = {}) {
+		super(message, opts);
+		this.topic = opts.topic || null;
+	}
+}
+
+class RiskLimitError extends HollaExError {
+	constructor(message, opts = {}) {
+		super(message, opts);
+		this.limit = opts.limit || null;
+		this.value = isNumber(opts.value) ? opts.value : null;
+		this.threshold = isNumber(opts.threshold) ? opts.threshold : null;
+	}
+}
+
+const getMessage = (body, status) => {
+	if (isPlainObject(body) && isString(body.message)) {
+		return body.message;
+	}
+	if (isString(body) && body.length > 0) {
+		return body;
+	}
+	return `Request failed with status code ${status}`;
+};
+
+const getRetryAfter = (headers = {}) => {
+	const seconds = Number(headers['retry-after']);
+	return isNaN(seconds) ? null : seconds * 1000;
+};
+
+/**
+ * Create the error matching a non 2xx response
+ * @param {object} response - Response with keys statusCode, headers and body
+ * @param {string} path - Endpoint path of the request
+ * @return {HollaExError} The typed error
+ */
+const createResponseError = (response, path) => {
+	const status = response.statusCode;
+	const headers = response.headers || {};
+	const message = getMessage(response.body, status);
+	const opts = {
+		status,
+		path,
+		requestId: headers['x-request-id'] || (isPlainObject(response.body) && response.body.request_id) || null,
+		response
+	};
+
+	if (status === 401 || status === 403) {
+		return new AuthenticationError(message, opts);
+	}
+	if (status === 429) {
+		return new RateLimitError(message, { ...opts, retryAfter: getRetryAfter(headers) });
+	}
+	if (/insufficient balance/i.test(message)) {
+		return new InsufficientBalanceError(message, opts);
+	}
+	if (/order.*not found/i.test(message) || (status === 404 && /\/order/.test(path))) {
+		return new OrderNotFoundError(message, opts);
+	}
+	if (status === 400 || status === 422) {
+		return new ValidationError(message, opts);
+	}
+	return new HollaExError(message, opts);
+};
+
+/**
+ * Wrap an error thrown by the transport before any response was received
+ * @param {object} err - The transport error
+ * @param {string} path - Endpoint path of the request
+ * @return {NetworkError} The network error
+ */
+const createNetworkError = (err, path) => {
+	return new NetworkError(err.message, { path, code: err.code, cause: err });
+};
+
+module.exports = {
+	HollaExError,
+	AuthenticationError,
+	RateLimitError,
+	ValidationError,
+	InsufficientBalanceError,
+	OrderNotFoundError,
+	NetworkError,
+	SubscriptionError,
+	RiskLimitError,
+	createResponseError,
+	createNetworkError
+};
@@ -30,8 +30,7 @@ client
 
 client.connect(['orderbook:xht-usdt']);
 
-client.ws.on('message', (data) => {
-	data = JSON.parse(data);
+client.on('orderbook', (data) => {
 	console.log(data);
 });
 
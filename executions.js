@@ -0,0 +1,466 @@
+'use strict';
+
+const EventEmitter = require('events');
+const { isNumber, isPlainObject, isString } = require('lodash');
+const { ValidationError } = require('./errors');
+const { OPEN_STATUSES } = require('./orderManager');
+const { toNumbers } = require('./decimals');
+const { generateId, round, toArray } = require('./utils');
+
+const FINAL_STATUSES = ['completed', 'canceled', 'failed'];
+
+class Execution extends EventEmitter {
+	/**
+	 * Parent order executed as a series of child orders placed through the client
+	 * @param {object} client - The HollaExKit client
+	 * @param {object} params - Parameters of the parent order
+	 * @param {string} params.symbol - The currency pair symbol e.g. 'xht-usdt'
+	 * @param {string} params.side - The side of the order e.g. 'buy', 'sell'
+	 * @param {number} params.size - The total amount to execute
+	 * @param {number} params.price - Limit price of the child orders. Child orders are market orders when absent
+	 */
+	constructor(client, params = {}) {
+		super();
+
+		if (!isString(params.symbol)) {
+			throw new ValidationError('symbol is required');
+		}
+		if (params.side !== 'buy' && params.side !== 'sell') {
+			throw new ValidationError('side must be buy or sell');
+		}
+		if (!isNumber(params.size) || params.size <= 0) {
+			throw new ValidationError('size must be a positive number');
+		}
+
+		this.client = client;
+		this.id = generateId();
+		this.symbol = params.symbol;
+		this.side = params.side;
+		this.size = params.size;
+		this.price = isNumber(params.price) ? params.price : null;
+		this.type = this.price === null ? 'market' : 'limit';
+		this.status = 'pending';
+		this.filled = 0;
+		this.children = new Map();
+		this.sequence = 0;
+		this.inFlight = 0;
+		this.submissions = new Set();
+		this.onOrder = (message) => this.handleOrderMessage(toNumbers(message));
+		this.result = new Promise((resolve, reject) => {
+			this.resolveResult = resolve;
+			this.rejectResult = reject;
+		});
+		// Callers that only listen to events must not get an unhandled rejection
+		this.result.catch(() => {});
+	}
+
+	/**
+	 * Start placing child orders
+	 * @return {object} The execution
+	 */
+	start() {
+		if (this.status === 'pending') {
+			this.status = 'running';
+			this.client.on('order', this.onOrder);
+			this.emitProgress();
+			this.run();
+		}
+		return this;
+	}
+
+	/**
+	 * Stop placing child orders and cancel the open ones until resume is called
+	 * @return {object} A promise resolving to the execution once the open child orders are canceled
+	 */
+	pause() {
+		if (this.status !== 'running') {
+			return Promise.resolve(this);
+		}
+		this.status = 'paused';
+		this.halt();
+		this.emit('paused', this.getProgress());
+		return this.waitForSubmissions()
+			.then(() => this.cancelChildren())
+			.then(() => this);
+	}
+
+	/**
+	 * Continue a paused execution
+	 * @return {object} The execution
+	 */
+	resume() {
+		if (this.status === 'paused') {
+			this.status = 'running';
+			this.emit('resumed', this.getProgress());
+			this.run();
+		}
+		return this;
+	}
+
+	/**
+	 * Stop the execution and cancel its open child orders
+	 * @return {object} A promise resolving to the final progress
+	 */
+	cancel() {
+		if (FINAL_STATUSES.includes(this.status)) {
+			return Promise.resolve(this.getProgress());
+		}
+		this.halt();
+		this.status = 'canceling';
+		return this.waitForSubmissions()
+			.then(() => this.cancelChildren())
+			.then(() => this.finish('canceled'));
+	}
+
+	/**
+	 * @return {object} A promise resolving to the final progress when the execution completes or is canceled, rejecting if it fails
+	 */
+	wait() {
+		return this.result;
+	}
+
+	/**
+	 * @return {object} A JSON object with keys id, algorithm, status, symbol, side, size, filled, remaining, percent and orders
+	 */
+	getProgress() {
+		return {
+			id: this.id,
+			algorithm: this.constructor.algorithm,
+			status: this.status,
+			symbol: this.symbol,
+			side: this.side,
+			size: this.size,
+			filled: this.filled,
+			remaining: this.getRemaining(),
+			percent: round((this.filled / this.size) * 100),
+			orders: Array.from(this.children.values())
+		};
+	}
+
+	getRemaining() {
+		return Math.max(round(this.size - this.filled), 0);
+	}
+
+	// Size of the open child orders that is not filled yet, including orders still being submitted
+	getWorking() {
+		return round(this.getOpenChildren().reduce((total, child) => {
+			return total + child.size - (child.filled || 0);
+		}, this.inFlight));
+	}
+
+	getOpenChildren() {
+		return Array.from(this.children.values()).filter((child) => OPEN_STATUSES.includes(child.status));
+	}
+
+	placeChild(size) {
+		size = round(Math.min(size, this.getRemaining() - this.getWorking()));
+		if (size <= 0 || this.status !== 'running') {
+			return Promise.resolve(null);
+		}
+
+		this.sequence++;
+		this.inFlight = round(this.inFlight + size);
+
+		const submission = this.client.createOrder(this.symbol, this.side, size, this.type, this.price || 0, {
+			clientOrderId: `${this.id}-${this.sequence}`
+		})
+			.then((order) => {
+				this.inFlight = round(this.inFlight - size);
+				this.updateChild(order);
+				this.emit('child', order);
+				const child = this.children.get(order.id);
+				// The execution stopped while the order was being submitted, it must not stay open
+				if (this.status !== 'running') {
+					return child && OPEN_STATUSES.includes(child.status) ? this.cancelChild(child) : order;
+				}
+				// Updates received while the order was being submitted could not act on it yet
+				if (child) {
+					this.onChildUpdate(child);
+				}
+				return order;
+			})
+			.catch((err) => {
+				this.inFlight = round(this.inFlight - size);
+				if (this.status !== 'canceling') {
+					this.fail(err);
+				}
+				return null;
+			})
+			.then((order) => {
+				this.submissions.delete(submission);
+				return order;
+			});
+		this.submissions.add(submission);
+		return submission;
+	}
+
+	// Resolves once the child orders being submitted are placed, or canceled when the execution stopped meanwhile
+	waitForSubmissions() {
+		return Promise.all(Array.from(this.submissions));
+	}
+
+	cancelChild(child) {
+		return this.client.cancelOrder(child.id)
+			.then((order) => {
+				this.updateChild(order);
+				return order;
+			})
+			.catch(() => child);
+	}
+
+	cancelChildren() {
+		return Promise.all(this.getOpenChildren().map((child) => this.cancelChild(child)));
+	}
+
+	isChild(order) {
+		if (this.children.has(order.id)) {
+			return true;
+		}
+		const clientOrderId = isPlainObject(order.meta) ? order.meta.client_order_id : null;
+		return isString(clientOrderId) && clientOrderId.startsWith(`${this.id}-`);
+	}
+
+	handleOrderMessage(message) {
+		toArray(message.data).forEach((order) => {
+			if (order && isString(order.id) && this.isChild(order)) {
+				this.updateChild(order);
+			}
+		});
+	}
+
+	updateChild(order) {
+		if (!order || !isString(order.id)) {
+			return;
+		}
+
+		const previous = this.children.get(order.id);
+		const child = { ...previous, ...order };
+		if (previous && (order.filled || 0) < (previous.filled || 0)) {
+			child.filled = previous.filled;
+		}
+		if (previous && !OPEN_STATUSES.includes(previous.status)) {
+			child.status = previous.status;
+		}
+		this.children.set(child.id, child);
+
+		const filled = round(Array.from(this.children.values()).reduce((total, item) => total + (item.filled || 0), 0));
+		const changed = filled !== this.filled || !previous || child.status !== previous.status;
+		this.filled = filled;
+
+		if (FINAL_STATUSES.includes(this.status) || !changed) {
+			return;
+		}
+
+		this.emitProgress();
+
+		if (this.filled >= this.size) {
+			this.finish('completed');
+		} else if (this.status === 'running') {
+			this.onChildUpdate(child);
+		}
+	}
+
+	finish(status) {
+		if (FINAL_STATUSES.includes(this.status)) {
+			return this.getProgress();
+		}
+		this.halt();
+		this.status = status;
+		this.client.removeListener('order', this.onOrder);
+		const progress = this.getProgress();
+		this.emit(status, progress);
+		this.resolveResult(progress);
+		return progress;
+	}
+
+	fail(err) {
+		if (FINAL_STATUSES.includes(this.status)) {
+			return;
+		}
+		this.halt();
+		this.status = 'failed';
+		this.cancelChildren().then(() => {
+			this.client.removeListener('order', this.onOrder);
+		});
+		if (this.listenerCount('error') > 0) {
+			this.emit('error', err);
+		}
+		this.rejectResult(err);
+	}
+
+	emitProgress() {
+		this.emit('progress', this.getProgress());
+	}
+
+	/* Implemented by each algorithm */
+
+	run() {}
+
+	halt() {}
+
+	onChildUpdate() {}
+}
+
+class TwapExecution extends Execution {
+	/**
+	 * Time-weighted execution placing equal slices at a fixed interval
+	 * @param {object} client - The HollaExKit client
+	 * @param {object} params - Parameters of the parent order, see Execution
+	 * @param {number} params.duration - Time in milliseconds over which to execute the order
+	 * @param {number} params.slices - Number of child orders to place
+	 */
+	constructor(client, params = {}) {
+		super(client, params);
+
+		if (!isNumber(params.duration) || params.duration <= 0) {
+			throw new ValidationError('duration must be a positive number');
+		}
+		if (!Number.isInteger(params.slices) || params.slices <= 0) {
+			throw new ValidationError('slices must be a positive integer');
+		}
+
+		this.duration = params.duration;
+		this.slices = params.slices;
+		this.interval = params.duration / params.slices;
+		this.slicesPlaced = 0;
+		this.timer = null;
+	}
+
+	run() {
+		this.tick();
+	}
+
+	halt() {
+		clearTimeout(this.timer);
+		this.timer = null;
+	}
+
+	tick() {
+		if (this.status !== 'running') {
+			return;
+		}
+
+		// One interval after the last slice the schedule is over, whatever did not fill is left undone
+		if (this.slicesPlaced >= this.slices) {
+			this.cancelChildren().then(() => this.finish('completed'));
+			return;
+		}
+
+		this.slicesPlaced++;
+		const target = round((this.size * this.slicesPlaced) / this.slices);
+		const place = this.type === 'limit'
+			? this.cancelChildren().then(() => this.placeChild(target - this.filled))
+			: this.placeChild(target - this.filled - this.getWorking());
+
+		place.then(() => {
+			if (this.status === 'running') {
+				this.timer = setTimeout(() => this.tick(), this.interval);
+			}
+		});
+	}
+}
+
+TwapExecution.algorithm = 'twap';
+
+class ParticipationExecution extends Execution {
+	/**
+	 * Execution following a share of the public trade volume of the symbol
+	 * @param {object} client - The HollaExKit client
+	 * @param {object} params - Parameters of the parent order, see Execution
+	 * @param {number} params.rate - Share of the traded volume to execute, between 0 and 1
+	 * @param {number} params.minSize - Minimum size of a child order. Default: 0
+	 */
+	constructor(client, params = {}) {
+		super(client, params);
+
+		if (!isNumber(params.rate) || params.rate <= 0 || params.rate > 1) {
+			throw new ValidationError('rate must be a number between 0 and 1');
+		}
+
+		this.rate = params.rate;
+		this.minSize = params.minSize || 0;
+		this.volume = 0;
+		this.onTrade = (message) => this.handleTradeMessage(toNumbers(message));
+	}
+
+	run() {
+		this.client.on('trade', this.onTrade);
+	}
+
+	halt() {
+		this.client.removeListener('trade', this.onTrade);
+	}
+
+	handleTradeMessage(message) {
+		// The partial is the recent history sent on subscribe, not new volume
+		if (message.symbol !== this.symbol || message.action === 'partial') {
+			return;
+		}
+
+		toArray(message.data).forEach((trade) => {
+			const withinLimit = this.price === null
+				|| (this.side === 'buy' ? trade.price <= this.price : trade.price >= this.price);
+			if (withinLimit) {
+				this.volume = round(this.volume + trade.size);
+			}
+		});
+
+		const due = round(Math.min(this.volume * this.rate, this.size) - this.filled - this.getWorking());
+		if (due > 0 && (due >= this.minSize || due >= this.getRemaining() - this.getWorking())) {
+			this.placeChild(due);
+		}
+	}
+}
+
+ParticipationExecution.algorithm = 'pov';
+
+class IcebergExecution extends Execution {
+	/**
+	 * Limit order showing only part of its size, replenished each time the visible part fills
+	 * @param {object} client - The HollaExKit client
+	 * @param {object} params - Parameters of the parent order, see Execution
+	 * @param {number} params.price - Limit price of the order
+	 * @param {number} params.displaySize - Size of each visible child order
+	 */
+	constructor(client, params = {}) {
+		super(client, params);
+
+		if (this.price === null) {
+			throw new ValidationError('price is required for iceberg orders');
+		}
+		if (!isNumber(params.displaySize) || params.displaySize <= 0) {
+			throw new ValidationError('displaySize must be a positive number');
+		}
+
+		this.displaySize = params.displaySize;
+	}
+
+	run() {
+		if (this.getWorking() === 0) {
+			this.placeChild(this.displaySize);
+		}
+	}
+
+	onChildUpdate(child) {
+		if (child.status === 'filled') {
+			this.run();
+		}
+	}
+}
+
+IcebergExecution.algorithm = 'iceberg';
+
+const EXECUTIONS = {
+	twap: TwapExecution,
+	pov: ParticipationExecution,
+	iceberg: IcebergExecution
+};
+
+module.exports = {
+	FINAL_STATUSES,
+	EXECUTIONS,
+	Execution,
+	TwapExecution,
+	ParticipationExecution,
+	IcebergExecution
+};
@@ -0,0 +1,118 @@
+'use strict';
+
+const { isArray, isNumber } = require('lodash');
+const { round } = require('./utils');
+
+// Buys take the asks from the lowest price, sells take the bids from the highest
+const getLevels = (book, side) => {
+	const levels = side === 'buy' ? book.asks : book.bids;
+	return (isArray(levels) ? [...levels] : [])
+		.filter(([price, size]) => price > 0 && size > 0)
+		.sort((a, b) => side === 'buy' ? a[0] - b[0] : b[0] - a[0]);
+};
+
+const getMid = (book) => {
+	const [bid] = getLevels(book, 'sell');
+	const [ask] = getLevels(book, 'buy');
+	return bid && ask ? (bid[0] + ask[0]) / 2 : null;
+};
+
+// Positive when the price is worse than the mid for the side
+const getSlippageBps = (side, price, mid) => {
+	if (!isNumber(price) || !mid) {
+		return null;
+	}
+	const direction = side === 'buy' ? 1 : -1;
+	return round(direction * (price - mid) / mid * 10000);
+};
+
+/**
+ * Estimate the fill of a market order by walking the visible levels of an order book
+ * @param {string} symbol - The currency pair symbol e.g. 'xht-usdt'
+ * @param {object} book - An order book with keys bids and asks, each an array of [price, size]
+ * @param {string} side - The side of the order e.g. 'buy', 'sell'
+ * @param {number} size - The size of the order
+ * @param {object} opts - Optional parameters
+ * @param {number} opts.feeRate - The taker fee as a percentage e.g. 0.1
+ * @return {object} A JSON object with keys symbol, side, size, filled, remaining, averagePrice, worstPrice, midPrice, slippageBps, notional, feeRate, fee, feeCoin and sufficientDepth
+ */
+const estimateExecution = (symbol, book, side, size, opts = { feeRate: null }) => {
+	const [base, quote] = symbol.split('-');
+	const mid = getMid(book);
+	let filled = 0;
+	let notional = 0;
+	let worstPrice = null;
+
+	for (const [price, levelSize] of getLevels(book, side)) {
+		if (filled >= size) {
+			break;
+		}
+		const taken = Math.min(levelSize, round(size - filled));
+		filled = round(filled + taken);
+		notional += taken * price;
+		worstPrice = price;
+	}
+
+	const averagePrice = filled > 0 ? round(notional / filled) : null;
+	const feeRate = isNumber(opts.feeRate) ? opts.feeRate : null;
+	// The fee is charged in the currency received, as on the exchange
+	const fee = feeRate !== null
+		? round((side === 'buy' ? filled : notional) * feeRate / 100)
+		: null;
+
+	return {
+		symbol,
+		side,
+		size,
+		filled,
+		remaining: round(size - filled),
+		averagePrice,
+		worstPrice,
+		midPrice: mid,
+		slippageBps: getSlippageBps(side, filled > 0 ? notional / filled : null, mid),
+		notional: round(notional),
+		feeRate,
+		fee,
+		feeCoin: side === 'buy' ? base : quote,
+		sufficientDepth: filled >= size
+	};
+};
+
+/**
+ * Find the largest market order whose average price stays within a slippage budget from the mid
+ * @param {object} book - An order book with keys bids and asks, each an array of [price, size]
+ * @param {string} side - The side of the order e.g. 'buy', 'sell'
+ * @param {number} maxSlippageBps - The slippage budget in basis points of the mid price
+ * @return {number} The size, 0 when the book has no mid price or the best level is already beyond the budget
+ */
+const getMaxSize = (book, side, maxSlippageBps) => {
+	const mid = getMid(book);
+	if (!mid) {
+		return 0;
+	}
+
+	const direction = side === 'buy' ? 1 : -1;
+	const limit = mid * (1 + direction * maxSlippageBps / 10000);
+	let filled = 0;
+	let notional = 0;
+
+	for (const [price, levelSize] of getLevels(book, side)) {
+		const average = (notional + price * levelSize) / (filled + levelSize);
+		if (direction * (average - limit) <= 0) {
+			filled += levelSize;
+			notional += price * levelSize;
+			continue;
+		}
+		// Take the part of the level that brings the average price exactly to the limit
+		const partial = (limit * filled - notional) / (price - limit);
+		filled += Math.max(partial, 0);
+		break;
+	}
+
+	return Math.floor(filled * 1e8) / 1e8;
+};
+
+module.exports = {
+	estimateExecution,
+	getMaxSize
+};
@@ -1,12 +1,59 @@
 'use strict';
 
 const Kit = require('./kit');
+const { createTransport } = require('./transport');
+const errors = require('./errors');
+const { Decimal } = require('./decimals');
 
 // To maintain backwards compatibility for `const { Kit } = require("hollaex-node-lib")`
 class BackwardsCompatibleKit extends Kit {
 	static get Kit() {
 		return Kit;
 	}
+
+	static get createTransport() {
+		return createTransport;
+	}
+
+	static get Decimal() {
+		return Decimal;
+	}
+
+	static get HollaExError() {
+		return errors.HollaExError;
+	}
+
+	static get AuthenticationError() {
+		return errors.AuthenticationError;
+	}
+
+	static get RateLimitError() {
+		return errors.RateLimitError;
+	}
+
+	static get ValidationError() {
+		return errors.ValidationError;
+	}
+
+	static get InsufficientBalanceError() {
+		return errors.InsufficientBalanceError;
+	}
+
+	static get OrderNotFoundError() {
+		return errors.OrderNotFoundError;
+	}
+
+	static get NetworkError() {
+		return errors.NetworkError;
+	}
+
+	static get SubscriptionError() {
+		return errors.SubscriptionError;
+	}
+
+	static get RiskLimitError() {
+		return errors.RiskLimitError;
+	}
 }
 
 module.exports = BackwardsCompatibleKit;
@@ -1,11 +1,33 @@
 'use strict';
 
+const EventEmitter = require('events');
 const WebSocket = require('ws');
 const moment = require('moment');
-const { createRequest, createSignature, generateHeaders, isDatetime, sanitizeDate } = require('./utils');
+const { createRequest, createSignature, generateHeaders, generateId, isDatetime, mapSettled, round, sanitizeDate } = require('./utils');
+const { createTransport } = require('./transport');
+const { createRetryPolicy, createReconnectPolicy, getBackoffDelay, retryRequest, retryIdempotent } = require('./retry');
+const { RateLimiter } = require('./rateLimiter');
+const { HollaExError, AuthenticationError, ValidationError, SubscriptionError } = require('./errors');
+const { validateOrder, formatOrder } = require('./validation');
+const { parseDecimals, toNumbers } = require('./decimals');
+const { estimateExecution, getMaxSize } = require('./impact');
+const { OrderBook } = require('./orderbook');
+const { TopicStream } = require('./stream');
+const { Paginator } = require('./paginate');
+const { PaperAccount } = require('./paper');
+const { OPEN_STATUSES, OrderManager } = require('./orderManager');
+const { EXECUTIONS } = require('./executions');
+const { LinkedOrder } = require('./linkedOrders');
+const { RiskManager } = require('./risk');
+const { Portfolio } = require('./portfolio');
+const { CandleAggregator } = require('./candles');
+const { TransferTracker } = require('./transfers');
 const { setWsHeartbeat } = require('ws-heartbeat/client');
-const { each, union, isNumber, isString, isPlainObject, isBoolean, isObject, isArray } = require('lodash');
-class HollaExKit {
+const { each, union, isNumber, isString, isPlainObject, isBoolean, isObject, isArray, isFunction } = require('lodash');
+
+const WS_TOPICS = ['orderbook', 'trade', 'order', 'usertrade', 'wallet', 'deposit', 'withdrawal', 'admin'];
+
+class HollaExKit extends EventEmitter {
 	constructor(
 		opts = {
 			apiURL: 'https://api.hollaex.com',
@@ -15,6 +37,7 @@ class HollaExKit {
 			apiExpiresAfter: 60
 		}
 	) {
+		super();
 		this.apiUrl = opts.apiURL || 'https://api.hollaex.com';
 		this.baseUrl = opts.baseURL || '/v2';
 		this.apiKey = opts.apiKey;
@@ -25,6 +48,18 @@ class HollaExKit {
 			Accept: 'application/json',
 			'api-key': opts.apiKey
 		};
+		this.transport = opts.transport || createTransport({
+			agent: opts.agent,
+			timeout: opts.timeout
+		});
+		this.retryPolicy = createRetryPolicy(opts.retry);
+		this.orderValidation = opts.validateOrders
+			? { round: isPlainObject(opts.validateOrders) && opts.validateOrders.round === true }
+			: null;
+		this.constants = null;
+		this.rateLimiter = opts.rateLimit
+			? new RateLimiter(isPlainObject(opts.rateLimit) ? opts.rateLimit : {})
+			: null;
 		this.ws = null;
 		const [protocol, endpoint] = this.apiUrl.split('://');
 		this.wsUrl = (
@@ -36,11 +71,131 @@ class HollaExKit {
 		);
 		this.wsEvents = [];
 		this.wsReconnect = true;
-		this.wsReconnectInterval = 5000;
-		this.wsEventListeners = null;
+		this.wsReconnectPolicy = createReconnectPolicy(opts.reconnect);
+		this.wsReconnectAttempts = 0;
+		this.wsReconnectTimer = null;
+		this.wsReconnecting = false;
+		this.wsSubscribeTimeout = opts.subscribeTimeout || 10000;
+		this.wsOperations = [];
+		this.wsActiveEvents = [];
+		this.orderBooks = {};
+		this.wsStreams = {};
+		this.risk = new RiskManager(this, opts.risk);
+		this.decimals = opts.decimals === true;
+		this.mode = opts.mode || 'live';
+		this.paper = this.mode === 'paper'
+			? new PaperAccount({
+				...(isPlainObject(opts.paper) ? opts.paper : {}),
+				emit: (topic, message) => {
+					const payload = this.decimals ? parseDecimals(message) : message;
+					this.emit('message', payload);
+					this.emit(topic, payload);
+				}
+			})
+			: null;
 		this.wsConnected = () => this.ws && this.ws.readyState === WebSocket.OPEN;
 	}
 
+	/**
+	 * Send a request to the exchange through the configured transport
+	 * Failed attempts are retried according to the retry policy and signed requests are re-signed on each attempt
+	 * @param {string} verb - The HTTP method e.g. 'GET', 'POST'
+	 * @param {string} path - The request path including the base url and query string e.g. '/v2/user'
+	 * @param {object} headers - The request headers
+	 * @param {object} opts - Optional parameters
+	 * @param {object} opts.data - The request body
+	 * @param {boolean} opts.retry - Pass false to send the request only once regardless of the retry policy
+	 * @param {boolean} opts.idempotent - Pass true to retry a request that is safe to send twice even if its method is not GET or DELETE
+	 * @return {object} A promise resolving to the parsed response body
+	 */
+	sendRequest(verb, path, headers, opts = { data: null, retry: true, idempotent: false }) {
+		const signed = headers['api-signature'] !== undefined;
+		const endpointType = this.getEndpointType(path, signed);
+		const retryPolicy = opts.retry === false ? createRetryPolicy(false) : this.retryPolicy;
+
+		return retryRequest(retryPolicy, verb, () => {
+			const acquire = this.rateLimiter
+				? this.rateLimiter.acquire(endpointType)
+				: Promise.resolve();
+
+			// Sign once the request leaves the queue so a long wait cannot expire the signature
+			return acquire.then(() => {
+				const requestHeaders = signed
+					? generateHeaders(
+						this.headers,
+						this.apiSecret,
+						verb,
+						path,
+						this.apiExpiresAfter,
+						opts.data
+					)
+					: headers;
+
+				return createRequest(verb, `${this.apiUrl}${path}`, requestHeaders, {
+					data: opts.data,
+					transport: this.transport,
+					onResponse: (response) => {
+						if (this.rateLimiter) {
+							this.rateLimiter.update(endpointType, response);
+						}
+					}
+				});
+			});
+		}, { idempotent: opts.idempotent === true });
+	}
+
+	/**
+	 * Parse the prices, sizes and balances of a response into Decimals when the decimals option is set
+	 * @param {object} response - A promise resolving to the parsed response body
+	 * @return {object} A promise resolving to the response, with Decimals in decimal mode
+	 */
+	withDecimals(response) {
+		return this.decimals ? response.then((body) => parseDecimals(body)) : response;
+	}
+
+	/**
+	 * Get the rate limit budget a request path belongs to
+	 * @param {string} path - The request path including the base url
+	 * @param {boolean} signed - Whether the request is signed with the api secret
+	 * @return {string} The endpoint type. Enum: ['public', 'private', 'admin']
+	 */
+	getEndpointType(path, signed) {
+		if (path.startsWith(`${this.baseUrl}/admin`)) {
+			return 'admin';
+		}
+		return signed ? 'private' : 'public';
+	}
+
+	/**
+	 * Get the queue depth and estimated wait time of the client-side rate limiter
+	 * @return {object} A JSON object with the keys public, private and admin, each with queueDepth(number) and waitTime(number). Null when rate limiting is disabled
+	 */
+	getRateLimitStatus() {
+		return this.rateLimiter ? this.rateLimiter.getStatus() : null;
+	}
+
+	/**
+	 * Walk every page of a list endpoint with the same filters
+	 * @param {string|function} method - Name of a list method e.g. 'getDeposits', or a function receiving the filters with page and limit
+	 * @param {object} opts - Filters passed to every page e.g. { currency: 'btc' }
+	 * @param {object} paginationOpts - Optional parameters
+	 * @param {number} paginationOpts.pageSize - Number of rows per page. Maximum: 50. Default: 50
+	 * @param {number} paginationOpts.maxPages - Maximum number of pages to fetch. Default: Infinity
+	 * @param {number} paginationOpts.delay - Time in milliseconds to wait between pages. Default: 0
+	 * @return {Paginator} An async iterable yielding one row at a time, with an all() function collecting every row
+	 */
+	paginate(method, opts = {}, paginationOpts = { pageSize: 50, maxPages: Infinity, delay: 0 }) {
+		if (!isFunction(method) && !isFunction(this[method])) {
+			throw new Error(`${method} is not a method of the client`);
+		}
+
+		const fetchPage = isFunction(method)
+			? method
+			: (pageOpts) => this[method](pageOpts);
+
+		return new Paginator(fetchPage, opts, paginationOpts);
+	}
+
 	/* Public Endpoints*/
 
 	/**
@@ -48,11 +203,7 @@ class HollaExKit {
 	 * @return {object} A json object with the exchange information
 	 */
 	getKit() {
-		return createRequest(
-			'GET',
-			`${this.apiUrl}${this.baseUrl}/kit`,
-			this.headers
-		);
+		return this.sendRequest('GET', `${this.baseUrl}/kit`, this.headers);
 	}
 
 	/**
@@ -61,11 +212,7 @@ class HollaExKit {
 	 * @return {object} A JSON object with keys high(number), low(number), open(number), close(number), volume(number), last(number)
 	 */
 	getTicker(symbol = '') {
-		return createRequest(
-			'GET',
-			`${this.apiUrl}${this.baseUrl}/ticker?symbol=${symbol}`,
-			this.headers
-		);
+		return this.sendRequest('GET', `${this.baseUrl}/ticker?symbol=${symbol}`, this.headers);
 	}
 
 	/**
@@ -73,11 +220,7 @@ class HollaExKit {
 	 * @return {object} A JSON object with symbols as keys which contain high(number), low(number), open(number), close(number), volume(number), last(number)
 	 */
 	getTickers() {
-		return createRequest(
-			'GET',
-			`${this.apiUrl}${this.baseUrl}/tickers`,
-			this.headers
-		);
+		return this.sendRequest('GET', `${this.baseUrl}/tickers`, this.headers);
 	}
 
 	/**
@@ -86,11 +229,7 @@ class HollaExKit {
 	 * @return {object} A JSON object with keys bids(array of active buy orders), asks(array of active sell orders), and timestamp(string)
 	 */
 	getOrderbook(symbol = '') {
-		return createRequest(
-			'GET',
-			`${this.apiUrl}${this.baseUrl}/orderbook?symbol=${symbol}`,
-			this.headers
-		);
+		return this.withDecimals(this.sendRequest('GET', `${this.baseUrl}/orderbook?symbol=${symbol}`, this.headers));
 	}
 
 	/**
@@ -98,11 +237,7 @@ class HollaExKit {
 	 * @return {object} A JSON object with the symbol-pairs as keys where the values are objects with keys bids(array of active buy orders), asks(array of active sell orders), and timestamp(string)
 	 */
 	getOrderbooks() {
-		return createRequest(
-			'GET',
-			`${this.apiUrl}${this.baseUrl}/orderbooks`,
-			this.headers
-		);
+		return this.withDecimals(this.sendRequest('GET', `${this.baseUrl}/orderbooks`, this.headers));
 	}
 
 	/**
@@ -112,13 +247,13 @@ class HollaExKit {
 	 * @return {object} A JSON object with the symbol-pairs as keys where the values are arrays of objects with keys size(number), price(number), side(string), and timestamp(string)
 	 */
 	getTrades(opts = { symbol: null }) {
-		let path = `${this.apiUrl}${this.baseUrl}/trades`;
+		let path = `${this.baseUrl}/trades`;
 
 		if (isString(opts.symbol)) {
 			path += `?symbol=${opts.symbol}`;
 		}
 
-		return createRequest('GET', path, this.headers);
+		return this.sendRequest('GET', path, this.headers);
 	}
 
 	/**
@@ -126,11 +261,7 @@ class HollaExKit {
 	 * @return {object} A JSON object with the keys pairs(information on each symbol-pair such as tick_size, min/max price, and min/max size) and currencies(array of all currencies involved in hollaEx)
 	 */
 	getConstants() {
-		return createRequest(
-			'GET',
-			`${this.apiUrl}${this.baseUrl}/constants`,
-			this.headers
-		);
+		return this.sendRequest('GET', `${this.baseUrl}/constants`, this.headers);
 	}
 
 	/* Private Endpoints*/
@@ -149,7 +280,7 @@ class HollaExKit {
 			path,
 			this.apiExpiresAfter
 		);
-		return createRequest(verb, `${this.apiUrl}${path}`, headers);
+		return this.sendRequest(verb, path, headers);
 	}
 
 	/**
@@ -157,6 +288,10 @@ class HollaExKit {
 	 * @return {object} A JSON object with the keys updated_at(string), usdt_balance(number), usdt_pending(number), usdt_available(number), hex_balance, hex_pending, hex_available, eth_balance, eth_pending, eth_available, bch_balance, bch_pending, bch_available
 	 */
 	getBalance() {
+		if (this.paper) {
+			return this.withDecimals(this.paper.getBalance());
+		}
+
 		const verb = 'GET';
 		const path = `${this.baseUrl}/user/balance`;
 		const headers = generateHeaders(
@@ -166,7 +301,7 @@ class HollaExKit {
 			path,
 			this.apiExpiresAfter
 		);
-		return createRequest(verb, `${this.apiUrl}${path}`, headers);
+		return this.withDecimals(this.sendRequest(verb, path, headers));
 	}
 
 	/**
@@ -275,7 +410,7 @@ class HollaExKit {
 			path,
 			this.apiExpiresAfter
 		);
-		return createRequest(verb, `${this.apiUrl}${path}`, headers);
+		return this.sendRequest(verb, path, headers);
 	}
 
 	/****** Withdrawals ******/
@@ -383,7 +518,7 @@ class HollaExKit {
 			path,
 			this.apiExpiresAfter
 		);
-		return createRequest(verb, `${this.apiUrl}${path}`, headers);
+		return this.sendRequest(verb, path, headers);
 	}
 
 	/**
@@ -393,7 +528,7 @@ class HollaExKit {
 	 * @param {string} address - The recipient's wallet address
 	 * @param {object} opts - Optional parameters.
 	 * @param {string} opts.network - Crypto network of currency being withdrawn.
-	 * @return {object} A JSON object {message:"Success"}
+	 * @return {object} A JSON object {message:"Success"}. Rejects with a ValidationError in paper mode
 	 */
 	makeWithdrawal(currency, amount, address, opts = {
 		network: null,
@@ -410,15 +545,22 @@ class HollaExKit {
 			data.network = opts.network;
 		}
 
-		const headers = generateHeaders(
-			this.headers,
-			this.apiSecret,
-			verb,
-			path,
-			this.apiExpiresAfter,
-			data
-		);
-		return createRequest(verb, `${this.apiUrl}${path}`, headers, { data });
+		// Paper funds are simulated and must never move real ones
+		if (this.paper) {
+			return Promise.reject(new ValidationError('Withdrawals are not available in paper mode'));
+		}
+
+		return this.risk.guardWithdrawal(currency, amount, () => {
+			const headers = generateHeaders(
+				this.headers,
+				this.apiSecret,
+				verb,
+				path,
+				this.apiExpiresAfter,
+				data
+			);
+			return this.sendRequest(verb, path, headers, { data });
+		});
 	}
 
 	/**
@@ -446,6 +588,10 @@ class HollaExKit {
 			format: null
 		}
 	) {
+		if (this.paper) {
+			return this.withDecimals(this.paper.getUserTrades(opts));
+		}
+
 		const verb = 'GET';
 		let path = `${this.baseUrl}/user/trades`;
 		let params = '?';
@@ -492,7 +638,7 @@ class HollaExKit {
 			this.apiExpiresAfter
 		);
 
-		return createRequest(verb, `${this.apiUrl}${path}`, headers);
+		return this.withDecimals(this.sendRequest(verb, path, headers));
 	}
 
 	/****** Orders ******/
@@ -502,6 +648,10 @@ class HollaExKit {
 	 * @return {object} The selected order as a JSON object with keys created_at(string), title(string), symbol(string), side(string), size(number), type(string), price(number), id(string), created_by(number), filled(number)
 	 */
 	getOrder(orderId) {
+		if (this.paper) {
+			return this.paper.getOrder(orderId);
+		}
+
 		const verb = 'GET';
 		const path = `${this.baseUrl}/order?order_id=${orderId}`;
 		const headers = generateHeaders(
@@ -511,7 +661,7 @@ class HollaExKit {
 			path,
 			this.apiExpiresAfter
 		);
-		return createRequest(verb, `${this.apiUrl}${path}`, headers);
+		return this.sendRequest(verb, path, headers);
 	}
 
 	/**
@@ -540,6 +690,10 @@ class HollaExKit {
 			endDate: null
 		}
 	) {
+		if (this.paper) {
+			return this.paper.getOrders(opts);
+		}
+
 		const verb = 'GET';
 		let path = `${this.baseUrl}/orders`;
 		let params = '?';
@@ -593,22 +747,23 @@ class HollaExKit {
 			path,
 			this.apiExpiresAfter
 		);
-		return createRequest(verb, `${this.apiUrl}${path}`, headers);
+		return this.sendRequest(verb, path, headers);
 	}
 
 	/**
 	 * Create a new order
 	 * @param {string} symbol - The currency pair symbol e.g. 'hex-usdt'
 	 * @param {string} side - The side of the order e.g. 'buy', 'sell'
-	 * @param {number} size - The amount of currency to order
+	 * @param {number} size - The amount of currency to order. With the decimals option, a numeric string or Decimal is also accepted and the size is rounded down to the pair's increment_size
 	 * @param {string} type - The type of order to create e.g. 'market', 'limit'
-	 * @param {number} price - The price at which to order (only required if type is 'limit')
+	 * @param {number} price - The price at which to order (only required if type is 'limit'). With the decimals option, a numeric string or Decimal is also accepted and the price is rounded to the pair's increment_price
 	 * @param {object} opts - Optional parameters
 	 * @param {number} opts.stop - Stop order price
+	 * @param {string} opts.clientOrderId - Identifier of the order chosen by the caller, stored in meta.client_order_id. Generated when absent
 	 * @param {object} opts.meta - Additional meta parameters in an object
 	 * @param {boolean} opts.meta.post_only - Whether or not the order should only be made if market maker.
 	 * @param {string} opts.meta.note - Additional note to add to order data.
-	 * @return {object} The new order as a JSON object with keys symbol(string), side(string), size(number), type(string), price(number), id(string), created_by(number), and filled(number)
+	 * @return {object} The new order as a JSON object with keys symbol(string), side(string), size(number), type(string), price(number), id(string), created_by(number), filled(number) and meta(object)
 	 */
 	createOrder(
 		symbol,
@@ -618,30 +773,214 @@ class HollaExKit {
 		price = 0,
 		opts = {
 			stop: null,
+			clientOrderId: null,
 			meta: null
 		}
 	) {
 		const verb = 'POST';
 		const path = `${this.baseUrl}/order`;
-		const data = { symbol, side, size, type, price };
+		const clientOrderId = isString(opts.clientOrderId) ? opts.clientOrderId : generateId();
+		const meta = {
+			...(isPlainObject(opts.meta) ? opts.meta : {}),
+			client_order_id: clientOrderId
+		};
+		const formatted = this.decimals
+			? this.getCachedConstants().then((constants) => {
+				return formatOrder(constants.pairs, { symbol, side, size, type, price, stop: opts.stop });
+			})
+			: Promise.resolve({ symbol, side, size, type, price, stop: opts.stop });
+		const order = formatted.then(({ size, price, stop }) => {
+			return (
+				this.orderValidation
+					? this.validateOrder(symbol, side, size, type, price, this.orderValidation)
+					: Promise.resolve({ symbol, side, size, type, price })
+			).then((validOrder) => ({ ...validOrder, stop }));
+		});
+
+		return order.then((validOrder) => this.risk.guardOrder(symbol, side, validOrder.size, type, validOrder.price, () => {
+			if (this.paper) {
+				return this.paper.createOrder(symbol, side, validOrder.size, type, validOrder.price, { ...opts, stop: validOrder.stop, meta });
+			}
+
+			const data = {
+				symbol,
+				side,
+				size: validOrder.size,
+				type,
+				price: validOrder.price,
+				meta
+			};
+
+			if (isNumber(validOrder.stop)) {
+				data.stop = validOrder.stop;
+			}
+
+			// An order is only submitted again once the exchange confirms the previous attempt did not create it
+			return retryIdempotent(
+				this.retryPolicy,
+				() => {
+					const headers = generateHeaders(
+						this.headers,
+						this.apiSecret,
+						verb,
+						path,
+						this.apiExpiresAfter,
+						data
+					);
+					return this.sendRequest(verb, path, headers, { data, retry: false });
+				},
+				() => this.getOrderByClientId(clientOrderId, { symbol })
+			);
+		}));
+	}
+
+	/**
+	 * Find an order by the client order id it was created with
+	 * @param {string} clientOrderId - The clientOrderId passed to createOrder or generated by it
+	 * @param {object} opts - Optional parameters
+	 * @param {string} opts.symbol - The currency pair symbol of the order e.g. 'hex-usdt'
+	 * @param {number} opts.maxPages - Number of pages of the most recent orders to search. Default: 1
+	 * @return {object} A promise resolving to the order, or null if no recent order has this client order id
+	 */
+	getOrderByClientId(clientOrderId, opts = { symbol: null, maxPages: 1 }) {
+		const filters = { orderBy: 'created_at', order: 'desc' };
 
-		if (isPlainObject(opts.meta)) {
-			data.meta = opts.meta;
+		if (isString(opts.symbol)) {
+			filters.symbol = opts.symbol;
 		}
 
-		if (isNumber(opts.stop)) {
-			data.stop = opts.stop;
+		return this.paginate('getOrders', filters, { maxPages: opts.maxPages || 1 })
+			.all()
+			.then((orders) => {
+				const order = orders.find((order) => {
+					return isPlainObject(order.meta) && order.meta.client_order_id === clientOrderId;
+				});
+				return order || null;
+			});
+	}
+
+	/**
+	 * Estimate the fill of a market order from the visible order book before sending it
+	 * The local book of createOrderBook is used when it is up to date, getOrderbook otherwise
+	 * @param {string} symbol - The currency pair symbol e.g. 'hex-usdt'
+	 * @param {string} side - The side of the order e.g. 'buy', 'sell'
+	 * @param {number} size - The amount of currency to order
+	 * @param {object} opts - Optional parameters
+	 * @param {object} opts.feeStructure - The fee percentages with keys maker and taker. Default: the fee_structure of the user's most recent order of the symbol
+	 * @return {object} A promise resolving to a JSON object with keys symbol, side, size, filled, remaining, averagePrice, worstPrice, midPrice, slippageBps(versus the mid price), notional, feeRate, fee, feeCoin and sufficientDepth(false when the visible depth cannot absorb the size)
+	 */
+	estimateExecution(symbol, side, size, opts = { feeStructure: null }) {
+		if (side !== 'buy' && side !== 'sell') {
+			return Promise.reject(new ValidationError('side must be buy or sell'));
+		}
+		if (!isNumber(size) || size <= 0) {
+			return Promise.reject(new ValidationError('size must be a positive number'));
 		}
 
-		const headers = generateHeaders(
-			this.headers,
-			this.apiSecret,
-			verb,
-			path,
-			this.apiExpiresAfter,
-			data
-		);
-		return createRequest(verb, `${this.apiUrl}${path}`, headers, { data });
+		return Promise.all([
+			this.getExecutionBook(symbol),
+			this.getFeeStructure(symbol, opts.feeStructure)
+		]).then(([book, feeStructure]) => {
+			return estimateExecution(symbol, book, side, size, { feeRate: feeStructure ? feeStructure.taker : null });
+		});
+	}
+
+	/**
+	 * Find the largest market order whose average price stays within a slippage budget from the mid price
+	 * @param {string} symbol - The currency pair symbol e.g. 'hex-usdt'
+	 * @param {string} side - The side of the order e.g. 'buy', 'sell'
+	 * @param {number} maxSlippageBps - The slippage budget in basis points e.g. 25
+	 * @param {object} opts - Optional parameters
+	 * @param {object} opts.feeStructure - The fee percentages with keys maker and taker. Default: the fee_structure of the user's most recent order of the symbol
+	 * @return {object} A promise resolving to the estimateExecution result for the largest size, with the additional key maxSlippageBps
+	 */
+	getMaxExecutionSize(symbol, side, maxSlippageBps, opts = { feeStructure: null }) {
+		if (side !== 'buy' && side !== 'sell') {
+			return Promise.reject(new ValidationError('side must be buy or sell'));
+		}
+		if (!isNumber(maxSlippageBps) || maxSlippageBps < 0) {
+			return Promise.reject(new ValidationError('maxSlippageBps must be a number of at least 0'));
+		}
+
+		return Promise.all([
+			this.getExecutionBook(symbol),
+			this.getFeeStructure(symbol, opts.feeStructure)
+		]).then(([book, feeStructure]) => {
+			const size = getMaxSize(book, side, maxSlippageBps);
+			return {
+				...estimateExecution(symbol, book, side, size, { feeRate: feeStructure ? feeStructure.taker : null }),
+				maxSlippageBps
+			};
+		});
+	}
+
+	/**
+	 * Get the order book of a symbol from the local book when it is up to date, or from getOrderbook
+	 * @param {string} symbol - The currency pair symbol e.g. 'hex-usdt'
+	 * @return {object} A promise resolving to a JSON object with keys bids and asks, each an array of [price, size]
+	 */
+	getExecutionBook(symbol) {
+		const orderBook = this.orderBooks[symbol];
+		if (orderBook && orderBook.lastUpdate && !orderBook.stale) {
+			return Promise.resolve(orderBook.getDepth());
+		}
+		return this.getOrderbook(symbol).then((books) => toNumbers(books[symbol] || books));
+	}
+
+	/**
+	 * Get the fees applied to the user's orders of a symbol
+	 * @param {string} symbol - The currency pair symbol e.g. 'hex-usdt'
+	 * @param {object} feeStructure - Fee percentages with keys maker and taker to use as is
+	 * @return {object} A promise resolving to the fee percentages with keys maker and taker, or null if the user has no order to read them from
+	 */
+	getFeeStructure(symbol, feeStructure = null) {
+		if (isPlainObject(feeStructure)) {
+			return Promise.resolve(feeStructure);
+		}
+		if (this.paper) {
+			return Promise.resolve({ ...this.paper.fees });
+		}
+		return this.getOrders({ symbol, limit: 1, orderBy: 'created_at', order: 'desc' }).then((orders) => {
+			const [order] = (orders && orders.data) || [];
+			return order && isPlainObject(order.fee_structure) ? order.fee_structure : null;
+		});
+	}
+
+	/**
+	 * Retrieve the exchange constants, fetching them only once
+	 * @param {object} opts - Optional parameters
+	 * @param {boolean} opts.refresh - Fetch the constants again even if they are cached
+	 * @return {object} A JSON object with the same keys as getConstants
+	 */
+	getCachedConstants(opts = { refresh: false }) {
+		if (!this.constants || opts.refresh) {
+			this.constants = this.getConstants().catch((err) => {
+				this.constants = null;
+				throw err;
+			});
+		}
+		return this.constants;
+	}
+
+	/**
+	 * Validate an order locally against the cached exchange constants
+	 * @param {string} symbol - The currency pair symbol e.g. 'hex-usdt'
+	 * @param {string} side - The side of the order e.g. 'buy', 'sell'
+	 * @param {number} size - The amount of currency to order
+	 * @param {string} type - The type of order to create e.g. 'market', 'limit'
+	 * @param {number} price - The price at which to order (only required if type is 'limit')
+	 * @param {object} opts - Optional parameters
+	 * @param {boolean} opts.round - Round size and price to the valid precision instead of rejecting them
+	 * @return {object} A promise resolving to the order with keys symbol, side, size, type and price, or rejecting with a ValidationError
+	 */
+	validateOrder(symbol, side, size, type, price = 0, opts = { round: false }) {
+		return this.getCachedConstants().then((constants) => {
+			return validateOrder(
+				constants.pairs,
+				{ symbol, side, size, type, price },
+				opts
+			);
+		});
 	}
 
 	/**
@@ -650,6 +989,10 @@ class HollaExKit {
 	 * @return {object} The cancelled order as a JSON object with keys symbol(string), side(string), size(number), type(string), price(number), id(string), created_by(number), and filled(number)
 	 */
 	cancelOrder(orderId) {
+		if (this.paper) {
+			return this.paper.cancelOrder(orderId);
+		}
+
 		const verb = 'DELETE';
 		const path = `${this.baseUrl}/order?order_id=${orderId}`;
 		const headers = generateHeaders(
@@ -659,7 +1002,142 @@ class HollaExKit {
 			path,
 			this.apiExpiresAfter
 		);
-		return createRequest(verb, `${this.apiUrl}${path}`, headers);
+		return this.sendRequest(verb, path, headers);
+	}
+
+	/**
+	 * Create several orders with bounded concurrency, every request going through the rate limiter
+	 * @param {array} orders - Array of objects with keys symbol, side, size, type, price, stop, clientOrderId and meta as for createOrder
+	 * @param {object} opts - Optional parameters
+	 * @param {number} opts.concurrency - Maximum number of requests in flight. Default: 5
+	 * @return {object} A promise resolving to an array with one result per order, in the same order, with keys success(boolean), params(object), order(object) and error(object)
+	 */
+	createOrders(orders, opts = { concurrency: 5 }) {
+		if (!isArray(orders)) {
+			return Promise.reject(new ValidationError('orders must be an array'));
+		}
+
+		return mapSettled(orders, opts.concurrency || 5, (params) => {
+			return this.createOrder(
+				params.symbol,
+				params.side,
+				params.size,
+				params.type,
+				params.price,
+				{ stop: params.stop, clientOrderId: params.clientOrderId, meta: params.meta }
+			);
+		}).then((results) => results.map(({ success, value, error }, index) => ({
+			success,
+			params: orders[index],
+			order: success ? value : null,
+			error: success ? null : error
+		})));
+	}
+
+	/**
+	 * Cancel several orders by id with bounded concurrency, every request going through the rate limiter
+	 * @param {array} orderIds - The ids of the orders to cancel
+	 * @param {object} opts - Optional parameters
+	 * @param {number} opts.concurrency - Maximum number of requests in flight. Default: 5
+	 * @return {object} A promise resolving to an array with one result per id, in the same order, with keys success(boolean), orderId(string), order(object) and error(object)
+	 */
+	cancelOrders(orderIds, opts = { concurrency: 5 }) {
+		if (!isArray(orderIds)) {
+			return Promise.reject(new ValidationError('orderIds must be an array'));
+		}
+
+		return mapSettled(orderIds, opts.concurrency || 5, (orderId) => this.cancelOrder(orderId))
+			.then((results) => results.map(({ success, value, error }, index) => ({
+				success,
+				orderId: orderIds[index],
+				order: success ? value : null,
+				error: success ? null : error
+			})));
+	}
+
+	/**
+	 * Block new orders and cancel the open orders of every symbol of the exchange
+	 * @return {object} A promise resolving to an array of JSON objects with keys symbol(string), success(boolean), orders(array) and error(object)
+	 */
+	killSwitch() {
+		return this.risk.killSwitch();
+	}
+
+	/**
+	 * Allow new orders again after killSwitch
+	 */
+	resetKillSwitch() {
+		this.risk.reset();
+	}
+
+	/**
+	 * Replace an order with a new price or size without ever having both orders open
+	 * The order is canceled first and the new order is only placed for the size the canceled order did not fill
+	 * @param {string} orderId - The id of the order to replace
+	 * @param {object} opts - Optional parameters
+	 * @param {number} opts.price - The new price. Default: the price of the replaced order
+	 * @param {number} opts.size - The new total size, filled amounts of the replaced order are deducted from it. Default: the size of the replaced order
+	 * @param {number} opts.stop - The new stop price. Default: the stop price of the replaced order
+	 * @return {object} A JSON object with keys replaced(boolean), race(string), filled(number), remaining(number), canceledOrder(object) and order(object). race is 'partial' or 'filled' when the order filled before the cancel went through, null otherwise
+	 */
+	replaceOrder(orderId, opts = { price: null, size: null, stop: null }) {
+		const verify = (order) => {
+			if (order.status === 'canceled' || order.status === 'filled') {
+				return order;
+			}
+			// The cancel response can predate the cancellation, only the exchange's current state is trusted
+			return this.getOrder(orderId).then((latest) => {
+				if (OPEN_STATUSES.includes(latest.status)) {
+					throw new HollaExError(`Order ${orderId} is still open after canceling it`, { path: `${this.baseUrl}/order` });
+				}
+				return latest;
+			});
+		};
+
+		return this.cancelOrder(orderId)
+			.catch((err) => {
+				// A cancel fails when the order filled first or when the response was lost, look at what happened
+				return this.getOrder(orderId)
+					.catch(() => {
+						throw err;
+					})
+					.then((order) => {
+						if (OPEN_STATUSES.includes(order.status)) {
+							throw err;
+						}
+						return order;
+					});
+			})
+			.then(verify)
+			.then((canceledOrder) => {
+				const filled = canceledOrder.filled || 0;
+				const size = isNumber(opts.size) ? opts.size : canceledOrder.size;
+				const remaining = Math.max(round(size - filled), 0);
+				const result = {
+					replaced: false,
+					race: canceledOrder.status === 'filled' ? 'filled' : filled > 0 ? 'partial' : null,
+					filled,
+					remaining,
+					canceledOrder,
+					order: null
+				};
+
+				if (canceledOrder.status === 'filled' || remaining <= 0) {
+					return result;
+				}
+
+				const price = isNumber(opts.price) ? opts.price : canceledOrder.price;
+				const stop = isNumber(opts.stop) ? opts.stop : canceledOrder.stop;
+				const meta = isPlainObject(canceledOrder.meta) ? { ...canceledOrder.meta } : {};
+				delete meta.client_order_id;
+
+				return this.createOrder(canceledOrder.symbol, canceledOrder.side, remaining, canceledOrder.type, price, { stop, meta })
+					.then((order) => ({ ...result, replaced: true, order }))
+					.catch((err) => {
+						err.result = result;
+						throw err;
+					});
+			});
 	}
 
 	/**
@@ -669,7 +1147,11 @@ class HollaExKit {
 	 */
 	cancelAllOrders(symbol) {
 		if (!isString(symbol)) {
-			throw new Error('You must provide a symbol to cancel all orders for');
+			throw new ValidationError('You must provide a symbol to cancel all orders for');
+		}
+
+		if (this.paper) {
+			return this.paper.cancelAllOrders(symbol);
 		}
 
 		const verb = 'DELETE';
@@ -682,7 +1164,7 @@ class HollaExKit {
 			this.apiExpiresAfter
 		);
 
-		return createRequest(verb, `${this.apiUrl}${path}`, headers);
+		return this.sendRequest(verb, path, headers);
 	}
 
 	/**
@@ -723,7 +1205,7 @@ class HollaExKit {
 			path,
 			this.apiExpiresAfter
 		);
-		return createRequest(verb, `${this.apiUrl}${path}`, headers);
+		return this.sendRequest(verb, path, headers);
 	}
 
 
@@ -772,15 +1254,15 @@ class HollaExKit {
 			path,
 			this.apiExpiresAfter
 		);
-		return createRequest(verb, `${this.apiUrl}${path}`, headers);
+		return this.sendRequest(verb, path, headers);
 	}
 
 	/**
 	 * Get Quick Trade Quote
 	 * @param {string} spending_currency -  Currency symbol of the spending currency
 	 * @param {string} receiving_currency - Currency symbol of the receiving currency
-	 * @param {string} opts.spending_amount - Spending amount
-	 * @param {string} opts.receiving_amount - Receiving amount
+	 * @param {string|number} opts.spending_amount - Spending amount
+	 * @param {string|number} opts.receiving_amount - Receiving amount
 	 */
 	getQuickTradeQuote(
 		spending_currency,
@@ -802,11 +1284,11 @@ class HollaExKit {
 			params += `&receiving_currency=${receiving_currency}`;
 		}
 
-		if (isString(opts.spending_amount)) {
+		if (isString(opts.spending_amount) || isNumber(opts.spending_amount)) {
 			params += `&spending_amount=${opts.spending_amount}`;
 		}
 
-		if (isString(opts.receiving_amount)) {
+		if (isString(opts.receiving_amount) || isNumber(opts.receiving_amount)) {
 			params += `&receiving_amount=${opts.receiving_amount}`;
 		}
 
@@ -819,7 +1301,7 @@ class HollaExKit {
 			path,
 			this.apiExpiresAfter
 		);
-		return createRequest(verb, `${this.apiUrl}${path}`, headers);
+		return this.sendRequest(verb, path, headers);
 	}
 
 	/**
@@ -843,7 +1325,91 @@ class HollaExKit {
 			this.apiExpiresAfter,
 			data
 		);
-		return createRequest(verb, `${this.apiUrl}${path}`, headers, { data });
+		return this.sendRequest(verb, path, headers, { data });
+	}
+
+	/**
+	 * Quick trade one currency for another: fetch a quote, check its price, execute it and fetch a new quote once if the token expired
+	 * @param {string} spendingCurrency - Currency symbol of the spending currency e.g. 'usdt'
+	 * @param {string} receivingCurrency - Currency symbol of the receiving currency e.g. 'xht'
+	 * @param {object} opts - Parameters, pass either spendingAmount or receivingAmount
+	 * @param {string|number} opts.spendingAmount - Amount of the spending currency to trade
+	 * @param {string|number} opts.receivingAmount - Amount of the receiving currency to get
+	 * @param {number} opts.maxPrice - Maximum price in the spending currency per unit of the receiving currency
+	 * @param {boolean} opts.requote - Fetch a new quote once when the token expired before execution. Default: true
+	 * @return {object} A promise resolving to a JSON object with keys spendingCurrency, receivingCurrency, spendingAmount(number), receivingAmount(number), price(number), requoted(boolean), quote(the executed quote) and result(the executeOrder response)
+	 */
+	quickTrade(
+		spendingCurrency,
+		receivingCurrency,
+		opts = {
+			spendingAmount: null,
+			receivingAmount: null,
+			maxPrice: null,
+			requote: true
+		}
+	) {
+		const isAmount = (amount) => isNumber(amount) || isString(amount);
+
+		if (!isString(spendingCurrency) || !isString(receivingCurrency)) {
+			return Promise.reject(new ValidationError('spendingCurrency and receivingCurrency are required'));
+		}
+		if (isAmount(opts.spendingAmount) === isAmount(opts.receivingAmount)) {
+			return Promise.reject(new ValidationError('Pass either spendingAmount or receivingAmount'));
+		}
+		if (opts.maxPrice !== undefined && opts.maxPrice !== null && (!isNumber(opts.maxPrice) || opts.maxPrice <= 0)) {
+			return Promise.reject(new ValidationError('maxPrice must be a positive number'));
+		}
+
+		const amount = isAmount(opts.spendingAmount)
+			? { spending_amount: opts.spendingAmount }
+			: { receiving_amount: opts.receivingAmount };
+
+		const trade = (requoted) => {
+			return this.getQuickTradeQuote(spendingCurrency, receivingCurrency, amount).then((quote) => {
+				const spendingAmount = Number(quote.spending_amount);
+				const receivingAmount = Number(quote.receiving_amount);
+				const price = round(spendingAmount / receivingAmount);
+				const canRequote = !requoted && opts.requote !== false;
+
+				if (isNumber(opts.maxPrice) && price > opts.maxPrice) {
+					const err = new HollaExError(`Quote price ${price} exceeds the maximum price ${opts.maxPrice}`);
+					err.quote = quote;
+					throw err;
+				}
+
+				if (quote.expiry && moment(quote.expiry).isBefore(moment())) {
+					if (canRequote) {
+						return trade(true);
+					}
+					const err = new HollaExError('Quote expired before it could be executed');
+					err.quote = quote;
+					throw err;
+				}
+
+				return this.executeOrder(quote.token).then(
+					(result) => ({
+						spendingCurrency,
+						receivingCurrency,
+						spendingAmount,
+						receivingAmount,
+						price,
+						requoted,
+						quote,
+						result
+					}),
+					(err) => {
+						// The token can expire between the quote and its execution
+						if (canRequote && !(err instanceof AuthenticationError) && /expire/i.test(err.message)) {
+							return trade(true);
+						}
+						throw err;
+					}
+				);
+			});
+		};
+
+		return trade(false);
 	}
 
 	/**
@@ -860,7 +1426,7 @@ class HollaExKit {
 			path,
 			this.apiExpiresAfter
 		);
-		return createRequest(verb, `${this.apiUrl}${path}`, headers);
+		return this.sendRequest(verb, path, headers);
 	}
 
 	/**
@@ -982,7 +1548,7 @@ class HollaExKit {
 			path,
 			this.apiExpiresAfter
 		);
-		return createRequest(verb, `${this.apiUrl}${path}`, headers);
+		return this.sendRequest(verb, path, headers);
 	}
 
 	/**
@@ -1103,7 +1669,7 @@ class HollaExKit {
 			path,
 			this.apiExpiresAfter
 		);
-		return createRequest(verb, `${this.apiUrl}${path}`, headers);
+		return this.sendRequest(verb, path, headers);
 	}
 
 	/**
@@ -1120,7 +1686,7 @@ class HollaExKit {
 			path,
 			this.apiExpiresAfter
 		);
-		return createRequest(verb, `${this.apiUrl}${path}`, headers);
+		return this.sendRequest(verb, path, headers);
 	}
 
 	/**
@@ -1169,7 +1735,7 @@ class HollaExKit {
 			this.apiExpiresAfter,
 			data
 		);
-		return createRequest(verb, `${this.apiUrl}${path}`, headers, { data });
+		return this.sendRequest(verb, path, headers, { data });
 	}
 
 	/**
@@ -1237,7 +1803,7 @@ class HollaExKit {
 			this.apiExpiresAfter,
 			data
 		);
-		return createRequest(verb, `${this.apiUrl}${path}`, headers, { data });
+		return this.sendRequest(verb, path, headers, { data });
 	}
 	// to support backward compatibility
 	createExchangeDeposit(...args) {
@@ -1321,7 +1887,7 @@ class HollaExKit {
 			this.apiExpiresAfter,
 			data
 		);
-		return createRequest(verb, `${this.apiUrl}${path}`, headers, { data });
+		return this.sendRequest(verb, path, headers, { data });
 
 	}
 	// to support backward compatibility
@@ -1394,7 +1960,7 @@ class HollaExKit {
 			this.apiExpiresAfter,
 			data
 		);
-		return createRequest(verb, `${this.apiUrl}${path}`, headers, { data });
+		return this.sendRequest(verb, path, headers, { data });
 	}
 
 	// to support backward compatibility
@@ -1479,7 +2045,7 @@ class HollaExKit {
 			this.apiExpiresAfter,
 			data
 		);
-		return createRequest(verb, `${this.apiUrl}${path}`, headers, { data });
+		return this.sendRequest(verb, path, headers, { data });
 	}
 
 	// to support backward compatibility
@@ -1539,7 +2105,7 @@ class HollaExKit {
 			path,
 			this.apiExpiresAfter
 		);
-		return createRequest(verb, `${this.apiUrl}${path}`, headers);
+		return this.sendRequest(verb, path, headers);
 	}
 
 	/**
@@ -1566,7 +2132,7 @@ class HollaExKit {
 			path,
 			this.apiExpiresAfter
 		);
-		return createRequest(verb, `${this.apiUrl}${path}`, headers);
+		return this.sendRequest(verb, path, headers);
 	}
 
 	/**
@@ -1646,7 +2212,7 @@ class HollaExKit {
 			path,
 			this.apiExpiresAfter
 		);
-		return createRequest(verb, `${this.apiUrl}${path}`, headers);
+		return this.sendRequest(verb, path, headers);
 	}
 
 	/**
@@ -1737,7 +2303,7 @@ class HollaExKit {
 			path,
 			this.apiExpiresAfter
 		);
-		return createRequest(verb, `${this.apiUrl}${path}`, headers);
+		return this.sendRequest(verb, path, headers);
 	}
 
 	/**
@@ -1767,7 +2333,7 @@ class HollaExKit {
 			path,
 			this.apiExpiresAfter
 		);
-		return createRequest(verb, `${this.apiUrl}${path}`, headers);
+		return this.sendRequest(verb, path, headers);
 	}
 
 	/**
@@ -1881,7 +2447,7 @@ class HollaExKit {
 			path,
 			this.apiExpiresAfter
 		);
-		return createRequest(verb, `${this.apiUrl}${path}`, headers);
+		return this.sendRequest(verb, path, headers);
 	}
 
 	/**
@@ -1914,7 +2480,7 @@ class HollaExKit {
 			this.apiExpiresAfter,
 			data
 		);
-		return createRequest(verb, `${this.apiUrl}${path}`, headers, { data });
+		return this.sendRequest(verb, path, headers, { data });
 	}
 
 	/**
@@ -1960,7 +2526,7 @@ class HollaExKit {
 				this.apiExpiresAfter,
 				data
 			);
-			return createRequest(verb, `${this.apiUrl}${path}`, headers, { data });
+			return this.sendRequest(verb, path, headers, { data });
 		}
 
 		if (isObject(opts.meta)) {
@@ -1984,7 +2550,7 @@ class HollaExKit {
 				this.apiExpiresAfter,
 				data
 			);
-			return createRequest(verb, `${this.apiUrl}${path}`, headers, { data });
+			return this.sendRequest(verb, path, headers, { data });
 		}
 
 		if (isNumber(opts.discount) && opts.discount <= 100 && opts.discount >= 0) {
@@ -2007,7 +2573,7 @@ class HollaExKit {
 				this.apiExpiresAfter,
 				data
 			);
-			return createRequest(verb, `${this.apiUrl}${path}`, headers, { data });
+			return this.sendRequest(verb, path, headers, { data });
 		}
 
 		if (isString(opts.note)) {
@@ -2030,7 +2596,7 @@ class HollaExKit {
 				this.apiExpiresAfter,
 				data
 			);
-			return createRequest(verb, `${this.apiUrl}${path}`, headers, { data });
+			return this.sendRequest(verb, path, headers, { data });
 		}
 
 		if (isNumber(opts.verification_level)) {
@@ -2050,7 +2616,7 @@ class HollaExKit {
 				this.apiExpiresAfter,
 				data
 			);
-			return createRequest(verb, `${this.apiUrl}${path}`, headers, { data });
+			return this.sendRequest(verb, path, headers, { data });
 		}
 
 	}
@@ -2075,7 +2641,7 @@ class HollaExKit {
 			this.apiExpiresAfter,
 			data
 		);
-		return createRequest(verb, `${this.apiUrl}${path}`, headers, { data });
+		return this.sendRequest(verb, path, headers, { data });
 	}
 
 
@@ -2112,7 +2678,7 @@ class HollaExKit {
 			this.apiExpiresAfter,
 			data
 		);
-		return createRequest(verb, `${this.apiUrl}${path}`, headers, { data });
+		return this.sendRequest(verb, path, headers, { data });
 	}
 
 	/**
@@ -2211,7 +2777,7 @@ class HollaExKit {
 			path,
 			this.apiExpiresAfter
 		);
-		return createRequest(verb, `${this.apiUrl}${path}`, headers);
+		return this.sendRequest(verb, path, headers);
 	}
 
 	/**
@@ -2230,7 +2796,7 @@ class HollaExKit {
 			path,
 			this.apiExpiresAfter
 		);
-		return createRequest(verb, `${this.apiUrl}${path}`, headers);
+		return this.sendRequest(verb, path, headers);
 	}
 
 	/**
@@ -2259,7 +2825,7 @@ class HollaExKit {
 			this.apiExpiresAfter,
 			data
 		);
-		return createRequest(verb, `${this.apiUrl}${path}`, headers, { data });
+		return this.sendRequest(verb, path, headers, { data });
 
 	}
 
@@ -2332,7 +2898,7 @@ class HollaExKit {
 			path,
 			this.apiExpiresAfter
 		);
-		return createRequest(verb, `${this.apiUrl}${path}`, headers);
+		return this.sendRequest(verb, path, headers);
 	}
 
 	/**
@@ -2356,7 +2922,7 @@ class HollaExKit {
 			this.apiExpiresAfter,
 			data
 		);
-		return createRequest(verb, `${this.apiUrl}${path}`, headers, { data });
+		return this.sendRequest(verb, path, headers, { data });
 	}
 
 	/**
@@ -2379,7 +2945,7 @@ class HollaExKit {
 			this.apiExpiresAfter,
 			data
 		);
-		return createRequest(verb, `${this.apiUrl}${path}`, headers, { data });
+		return this.sendRequest(verb, path, headers, { data });
 	}
 
 	/**
@@ -2446,7 +3012,7 @@ class HollaExKit {
 			path,
 			this.apiExpiresAfter
 		);
-		return createRequest(verb, `${this.apiUrl}${path}`, headers);
+		return this.sendRequest(verb, path, headers);
 	}
 
 	/**
@@ -2464,7 +3030,7 @@ class HollaExKit {
 			path,
 			this.apiExpiresAfter
 		);
-		return createRequest(verb, `${this.apiUrl}${path}`, headers);
+		return this.sendRequest(verb, path, headers);
 	}
 
 	/**
@@ -2491,7 +3057,7 @@ class HollaExKit {
 			this.apiExpiresAfter,
 			data
 		);
-		return createRequest(verb, `${this.apiUrl}${path}`, headers, { data });
+		return this.sendRequest(verb, path, headers, { data });
 	}
 
 	/**
@@ -2529,7 +3095,7 @@ class HollaExKit {
 			this.apiExpiresAfter,
 			data
 		);
-		return createRequest(verb, `${this.apiUrl}${path}`, headers, { data });
+		return this.sendRequest(verb, path, headers, { data });
 	}
 
 	/**
@@ -2570,7 +3136,7 @@ class HollaExKit {
 			path,
 			this.apiExpiresAfter
 		);
-		return createRequest(verb, `${this.apiUrl}${path}`, headers);
+		return this.sendRequest(verb, path, headers);
 	}
 
 	/**
@@ -2610,7 +3176,7 @@ class HollaExKit {
 			this.apiExpiresAfter,
 			data
 		);
-		return createRequest(verb, `${this.apiUrl}${path}`, headers, { data });
+		return this.sendRequest(verb, path, headers, { data });
 	}
 
 	/**
@@ -2656,7 +3222,7 @@ class HollaExKit {
 			this.apiExpiresAfter,
 			data
 		);
-		return createRequest(verb, `${this.apiUrl}${path}`, headers, { data });
+		return this.sendRequest(verb, path, headers, { data });
 	}
 	/**
 	 * Create withdrawal on behalf of users
@@ -2697,7 +3263,7 @@ class HollaExKit {
 			this.apiExpiresAfter,
 			data
 		);
-		return createRequest(verb, `${this.apiUrl}${path}`, headers, { data });
+		return this.sendRequest(verb, path, headers, { data });
 	}
 
 
@@ -2765,7 +3331,7 @@ class HollaExKit {
 			path,
 			this.apiExpiresAfter
 		);
-		return createRequest(verb, `${this.apiUrl}${path}`, headers);
+		return this.sendRequest(verb, path, headers);
 	}
 
 	/**
@@ -2860,7 +3426,7 @@ class HollaExKit {
 			this.apiExpiresAfter,
 			data
 		);
-		return createRequest(verb, `${this.apiUrl}${path}`, headers, { data });
+		return this.sendRequest(verb, path, headers, { data });
 	}
 
 	/**
@@ -2983,7 +3549,7 @@ class HollaExKit {
 			this.apiExpiresAfter,
 			data
 		);
-		return createRequest(verb, `${this.apiUrl}${path}`, headers, { data });
+		return this.sendRequest(verb, path, headers, { data });
 	}
 
 	/**
@@ -3004,7 +3570,7 @@ class HollaExKit {
 			this.apiExpiresAfter,
 			data
 		);
-		return createRequest(verb, `${this.apiUrl}${path}`, headers, { data });
+		return this.sendRequest(verb, path, headers, { data });
 	}
 
 	/**
@@ -3107,7 +3673,7 @@ class HollaExKit {
 			path,
 			this.apiExpiresAfter
 		);
-		return createRequest(verb, `${this.apiUrl}${path}`, headers);
+		return this.sendRequest(verb, path, headers);
 	}
 
 	/**
@@ -3125,7 +3691,7 @@ class HollaExKit {
 			path,
 			this.apiExpiresAfter
 		);
-		return createRequest(verb, `${this.apiUrl}${path}`, headers);
+		return this.sendRequest(verb, path, headers);
 	}
 
 	/**
@@ -3155,7 +3721,7 @@ class HollaExKit {
 			data
 		);
 
-		return createRequest(verb, `${this.apiUrl}${path}`, headers, { data });
+		return this.sendRequest(verb, path, headers, { data });
 	}
 
 	/**
@@ -3165,6 +3731,9 @@ class HollaExKit {
 	connect(events = []) {
 		this.wsReconnect = true;
 		this.wsEvents = events;
+		if (!this.wsReconnecting) {
+			this.wsReconnectAttempts = 0;
+		}
 		this.initialConnection = true;
 		let url = this.wsUrl;
 		if (this.apiKey && this.apiSecret) {
@@ -3179,71 +3748,111 @@ class HollaExKit {
 			}&api-signature=${signature}&api-expires=${apiExpires}`;
 		}
 
-		this.ws = new WebSocket(url);
+		const ws = new WebSocket(url);
+		this.ws = ws;
+		let closed = false;
 
-		if (this.wsEventListeners) {
-			this.ws._events = this.wsEventListeners;
-		} else {
-			this.ws.on('unexpected-response', () => {
-				if (this.ws.readyState !== WebSocket.CLOSING) {
-					if (this.ws.readyState === WebSocket.OPEN) {
-						this.ws.close();
-					} else if (this.wsReconnect) {
-						this.wsEventListeners = this.ws._events;
-						this.ws = null;
-						setTimeout(() => {
-							this.connect(this.wsEvents);
-						}, this.wsReconnectInterval);
-					} else {
-						this.wsEventListeners = null;
-						this.ws = null;
-					}
-				}
+		const reconnect = () => {
+			// error and close can both fire for the same socket
+			if (closed) {
+				return;
+			}
+			closed = true;
+			this.ws = null;
+			this.wsActiveEvents = [];
+			this.wsOperations.forEach((operation) => {
+				this.settleWsOperation(
+					operation,
+					new SubscriptionError('Websocket closed', { topic: operation.arg })
+				);
 			});
 
-			this.ws.on('error', () => {
-				if (this.ws.readyState !== WebSocket.CLOSING) {
-					if (this.ws.readyState === WebSocket.OPEN) {
-						this.ws.close();
-					} else if (this.wsReconnect) {
-						this.wsEventListeners = this.ws._events;
-						this.ws = null;
-						setTimeout(() => {
-							this.connect(this.wsEvents);
-						}, this.wsReconnectInterval);
-					} else {
-						this.wsEventListeners = null;
-						this.ws = null;
-					}
+			if (!this.wsReconnect) {
+				this.wsReconnecting = false;
+				this.emit('close');
+				return;
+			}
+
+			const policy = this.wsReconnectPolicy;
+			const attempt = this.wsReconnectAttempts + 1;
+
+			if (attempt > policy.maxAttempts) {
+				this.wsReconnect = false;
+				this.wsReconnecting = false;
+				if (policy.onGiveUp) {
+					policy.onGiveUp(this.wsReconnectAttempts);
 				}
-			});
+				this.emit('reconnectFailed', { attempts: this.wsReconnectAttempts });
+				this.emit('close');
+				return;
+			}
 
-			this.ws.on('close', () => {
-				if (this.wsReconnect) {
-					this.wsEventListeners = this.ws._events;
-					this.ws = null;
-					setTimeout(() => {
-						this.connect(this.wsEvents);
-					}, this.wsReconnectInterval);
+			const delay = getBackoffDelay(attempt, policy);
+			this.wsReconnectAttempts = attempt;
+			this.wsReconnecting = true;
+			this.emit('reconnecting', { attempt, delay });
+			this.wsReconnectTimer = setTimeout(() => {
+				this.wsReconnectTimer = null;
+				this.connect(this.wsEvents);
+			}, delay);
+		};
+
+		ws.on('unexpected-response', () => {
+			if (ws.readyState !== WebSocket.CLOSING) {
+				if (ws.readyState === WebSocket.OPEN) {
+					ws.close();
 				} else {
-					this.wsEventListeners = null;
-					this.ws = null;
+					reconnect();
 				}
-			});
+			}
+		});
+
+		ws.on('error', (err) => {
+			if (this.listenerCount('error') > 0) {
+				this.emit('error', err);
+			}
 
-			this.ws.on('open', () => {
-				if (this.wsEvents.length > 0) {
-					this.subscribe(this.wsEvents);
+			if (ws.readyState !== WebSocket.CLOSING) {
+				if (ws.readyState === WebSocket.OPEN) {
+					ws.close();
+				} else {
+					reconnect();
 				}
+			}
+		});
+
+		ws.on('close', () => {
+			reconnect();
+		});
 
-				this.initialConnection = false;
+		ws.on('message', (data) => {
+			this.handleMessage(data);
+		});
 
-				setWsHeartbeat(this.ws, JSON.stringify({ op: 'ping' }), {
-					pingTimeout: 60000,
-					pingInterval: 25000
+		ws.on('open', () => {
+			if (this.wsEvents.length > 0) {
+				this.subscribe(this.wsEvents).catch((err) => {
+					if (this.listenerCount('error') > 0) {
+						this.emit('error', err);
+					}
 				});
+			}
+
+			this.initialConnection = false;
+
+			setWsHeartbeat(ws, JSON.stringify({ op: 'ping' }), {
+				pingTimeout: 60000,
+				pingInterval: 25000
 			});
-		}
+
+			this.emit('open');
+
+			if (this.wsReconnecting) {
+				this.emit('reconnected', { attempt: this.wsReconnectAttempts });
+				this.wsReconnecting = false;
+			}
+			this.wsReconnectAttempts = 0;
+		});
 	}
 
 	/**
@@ -3253,6 +3862,12 @@ class HollaExKit {
 		if (this.wsConnected()) {
 			this.wsReconnect = false;
 			this.ws.close();
+		} else if (this.wsReconnectTimer) {
+			clearTimeout(this.wsReconnectTimer);
+			this.wsReconnectTimer = null;
+			this.wsReconnect = false;
+			this.wsReconnecting = false;
+			this.emit('close');
 		} else {
 			throw new Error('Websocket not connected');
 		}
@@ -3261,117 +3876,468 @@ class HollaExKit {
 	/**
 	 * Subscribe to hollaEx websocket events
 	 * @param {array} events - The events to listen to
+	 * @return {object} A promise resolving when the server confirms every subscription or sends its first partial, rejecting with a SubscriptionError on error or timeout
 	 */
 	subscribe(events = []) {
-		if (this.wsConnected()) {
-			each(events, (event) => {
-				if (!this.wsEvents.includes(event) || this.initialConnection) {
-					const [topic, symbol] = event.split(':');
-					switch (topic) {
-					case 'orderbook':
-					case 'trade':
-						if (symbol) {
-							if (!this.wsEvents.includes(topic)) {
-								this.ws.send(
-									JSON.stringify({
-										op: 'subscribe',
-										args: [`${topic}:${symbol}`]
-									})
-								);
-								if (!this.initialConnection) {
-									this.wsEvents = union(this.wsEvents, [event]);
-								}
-							}
-						} else {
-							this.ws.send(
-								JSON.stringify({
-									op: 'subscribe',
-									args: [topic]
-								})
-							);
+		if (!this.wsConnected()) {
+			return Promise.reject(new Error('Websocket not connected'));
+		}
+
+		const confirmations = [];
+		each(events, (event) => {
+			if (!this.wsEvents.includes(event) || this.initialConnection) {
+				const [topic, symbol] = event.split(':');
+				switch (topic) {
+				case 'orderbook':
+				case 'trade':
+					if (symbol) {
+						if (!this.wsEvents.includes(topic)) {
+							confirmations.push(this.sendWsOperation('subscribe', `${topic}:${symbol}`));
 							if (!this.initialConnection) {
-								this.wsEvents = this.wsEvents.filter(
-									(e) => !e.includes(`${topic}:`)
-								);
 								this.wsEvents = union(this.wsEvents, [event]);
 							}
 						}
-						break;
-					case 'order':
-					case 'usertrade':
-					case 'wallet':
-					case 'deposit':
-					case 'withdrawal':
-					case 'admin':
-						this.ws.send(
-							JSON.stringify({
-								op: 'subscribe',
-								args: [topic]
-							})
-						);
+					} else {
+						confirmations.push(this.sendWsOperation('subscribe', topic));
 						if (!this.initialConnection) {
+							this.wsEvents = this.wsEvents.filter(
+								(e) => !e.includes(`${topic}:`)
+							);
 							this.wsEvents = union(this.wsEvents, [event]);
 						}
-						break;
-					default:
-						break;
 					}
+					break;
+				case 'order':
+				case 'usertrade':
+				case 'wallet':
+				case 'deposit':
+				case 'withdrawal':
+				case 'admin':
+					confirmations.push(this.sendWsOperation('subscribe', topic));
+					if (!this.initialConnection) {
+						this.wsEvents = union(this.wsEvents, [event]);
+					}
+					break;
+				default:
+					break;
 				}
-			});
-		} else {
-			throw new Error('Websocket not connected');
-		}
+			}
+		});
+
+		const confirmed = Promise.all(confirmations);
+		// Callers that do not wait for the confirmation must not get an unhandled rejection
+		confirmed.catch(() => {});
+		return confirmed;
 	}
 
 	/**
 	 * Unsubscribe to hollaEx websocket events
 	 * @param {array} events - The events to unsub from
+	 * @return {object} A promise resolving when the server confirms every unsubscription, rejecting with a SubscriptionError on error or timeout
 	 */
 	unsubscribe(events = []) {
-		if (this.wsConnected()) {
-			each(events, (event) => {
-				if (this.wsEvents.includes(event)) {
-					const [topic, symbol] = event.split(':');
-					switch (topic) {
-					case 'orderbook':
-					case 'trade':
-						if (symbol) {
-							this.ws.send(
-								JSON.stringify({
-									op: 'unsubscribe',
-									args: [`${topic}:${symbol}`]
-								})
-							);
-						} else {
-							this.ws.send(
-								JSON.stringify({
-									op: 'unsubscribe',
-									args: [topic]
-								})
-							);
-						}
-						this.wsEvents = this.wsEvents.filter((e) => e !== event);
-						break;
-					case 'order':
-					case 'wallet':
-					case 'deposit':
-					case 'withdrawal':
-					case 'admin':
-						this.ws.send(
-							JSON.stringify({
-								op: 'unsubscribe',
-								args: [topic]
-							})
-						);
-						this.wsEvents = this.wsEvents.filter((e) => e !== event);
-						break;
-					default:
-						break;
+		if (!this.wsConnected()) {
+			return Promise.reject(new Error('Websocket not connected'));
+		}
+
+		const confirmations = [];
+		each(events, (event) => {
+			if (this.wsEvents.includes(event)) {
+				const [topic, symbol] = event.split(':');
+				switch (topic) {
+				case 'orderbook':
+				case 'trade':
+					if (symbol) {
+						confirmations.push(this.sendWsOperation('unsubscribe', `${topic}:${symbol}`));
+					} else {
+						confirmations.push(this.sendWsOperation('unsubscribe', topic));
 					}
+					this.wsEvents = this.wsEvents.filter((e) => e !== event);
+					break;
+				case 'order':
+				case 'usertrade':
+				case 'wallet':
+				case 'deposit':
+				case 'withdrawal':
+				case 'admin':
+					confirmations.push(this.sendWsOperation('unsubscribe', topic));
+					this.wsEvents = this.wsEvents.filter((e) => e !== event);
+					break;
+				default:
+					break;
 				}
-			});
+			}
+		});
+
+		const confirmed = Promise.all(confirmations);
+		// Callers that do not wait for the confirmation must not get an unhandled rejection
+		confirmed.catch(() => {});
+		return confirmed;
+	}
+
+	/**
+	 * Check whether the server confirmed a subscription
+	 * @param {string} event - The event e.g. 'orderbook:xht-usdt', 'order'
+	 * @return {boolean} True if the subscription is active
+	 */
+	isSubscribed(event) {
+		const [topic] = event.split(':');
+		return this.wsActiveEvents.includes(event) || this.wsActiveEvents.includes(topic);
+	}
+
+	/**
+	 * Send a subscribe or unsubscribe operation and wait for the server to confirm it
+	 * @param {string} op - The operation. Enum: ['subscribe', 'unsubscribe']
+	 * @param {string} arg - The topic e.g. 'orderbook:xht-usdt', 'order'
+	 * @return {object} A promise resolving to the topic once confirmed
+	 */
+	sendWsOperation(op, arg) {
+		const confirmed = new Promise((resolve, reject) => {
+			const operation = { op, arg, resolve, reject };
+			operation.timer = setTimeout(() => {
+				this.settleWsOperation(
+					operation,
+					new SubscriptionError(`Timed out waiting for ${op} confirmation of ${arg}`, { topic: arg })
+				);
+			}, this.wsSubscribeTimeout);
+
+			if (operation.timer.unref) {
+				operation.timer.unref();
+			}
+
+			this.wsOperations.push(operation);
+			this.ws.send(JSON.stringify({ op, args: [arg] }));
+		});
+		confirmed.catch(() => {});
+		return confirmed;
+	}
+
+	/**
+	 * Resolve or reject a pending subscribe or unsubscribe operation
+	 * @param {object} operation - The pending operation
+	 * @param {object} err - The error to reject with, if any
+	 */
+	settleWsOperation(operation, err = null) {
+		clearTimeout(operation.timer);
+		this.wsOperations = this.wsOperations.filter((pending) => pending !== operation);
+
+		if (err) {
+			operation.reject(err);
 		} else {
-			throw new Error('Websocket not connected');
+			if (operation.op === 'subscribe') {
+				this.wsActiveEvents = union(this.wsActiveEvents, [operation.arg]);
+			} else {
+				this.wsActiveEvents = this.wsActiveEvents.filter((e) => e !== operation.arg);
+			}
+			operation.resolve(operation.arg);
+		}
+	}
+
+	/**
+	 * Match a websocket message with the pending subscribe and unsubscribe operations
+	 * @param {object} message - The parsed websocket message
+	 */
+	confirmWsOperations(message) {
+		const text = isString(message.error) ? message.error : message.message;
+		const mentions = (operation) => isString(text)
+			&& (text.includes(operation.arg) || text.includes(operation.arg.split(':')[0]));
+
+		if (message.topic) {
+			this.wsOperations
+				.filter((operation) => {
+					const [topic, symbol] = operation.arg.split(':');
+					return operation.op === 'subscribe'
+						&& topic === message.topic
+						&& (!symbol || symbol === message.symbol);
+				})
+				.forEach((operation) => this.settleWsOperation(operation));
+		} else if (!isString(text) || text === 'pong') {
+			return;
+		} else if (/unsubscribed/i.test(text)) {
+			this.wsOperations
+				.filter((operation) => operation.op === 'unsubscribe' && mentions(operation))
+				.forEach((operation) => this.settleWsOperation(operation));
+		} else if (/subscribed/i.test(text)) {
+			this.wsOperations
+				.filter((operation) => operation.op === 'subscribe' && mentions(operation))
+				.forEach((operation) => this.settleWsOperation(operation));
+		} else if (isString(message.error) || /error|invalid|not authorized|unauthorized|authentication|denied/i.test(text)) {
+			const failed = this.wsOperations.filter(mentions);
+			// Errors that do not name a topic belong to the oldest operation since the server answers in order
+			(failed.length > 0 ? failed : this.wsOperations.slice(0, 1)).forEach((operation) => {
+				this.settleWsOperation(operation, new SubscriptionError(text, { topic: operation.arg }));
+			});
+		}
+	}
+
+	/**
+	 * Stream the messages of a websocket topic as an async iterator
+	 * Subscribes to the topic if needed and unsubscribes once every stream of the topic ends
+	 * @param {string} event - The event e.g. 'trade:xht-usdt', 'order'
+	 * @param {object} opts - Optional parameters
+	 * @param {number} opts.bufferSize - Maximum number of messages waiting to be consumed. Default: 1000
+	 * @param {string} opts.overflow - What to do when the buffer is full. Enum: ['dropOldest', 'dropNewest', 'error']. Default: 'dropOldest'
+	 * @return {TopicStream} An async iterable of parsed websocket messages
+	 */
+	stream(event, opts = { bufferSize: 1000, overflow: 'dropOldest' }) {
+		const stream = new TopicStream(this, event, opts);
+
+		if (!this.wsStreams[event]) {
+			this.wsStreams[event] = { count: 0, owned: !this.wsEvents.includes(event) };
+
+			if (this.wsStreams[event].owned) {
+				if (this.wsConnected()) {
+					this.subscribe([event]).catch((err) => stream.fail(err));
+				} else if (this.ws || this.wsReconnectTimer) {
+					// The socket being opened or the pending reconnect subscribes to wsEvents
+					this.wsEvents = union(this.wsEvents, [event]);
+				} else {
+					this.connect(union(this.wsEvents, [event]));
+				}
+			}
+		}
+
+		this.wsStreams[event].count++;
+		return stream;
+	}
+
+	/**
+	 * Release a stream of a websocket topic and unsubscribe when it was the last one
+	 * @param {string} event - The event e.g. 'trade:xht-usdt', 'order'
+	 */
+	releaseStream(event) {
+		const streams = this.wsStreams[event];
+
+		if (!streams || --streams.count > 0) {
+			return;
+		}
+
+		delete this.wsStreams[event];
+
+		if (streams.owned) {
+			if (this.wsConnected()) {
+				this.unsubscribe([event]).catch(() => {});
+			} else {
+				this.wsEvents = this.wsEvents.filter((e) => e !== event);
+			}
+		}
+	}
+
+	/**
+	 * Create a local order book for a symbol fed by the orderbook websocket topic
+	 * The book resubscribes to its topic when it goes stale
+	 * @param {string} symbol - The currency pair symbol e.g. 'xht-usdt'
+	 * @param {object} opts - Optional parameters
+	 * @param {number} opts.staleTimeout - Time in milliseconds without updates before resubscribing. Pass 0 to disable. Default: 60000
+	 * @return {OrderBook} The local order book
+	 */
+	createOrderBook(symbol, opts = { staleTimeout: 60000 }) {
+		if (!this.orderBooks[symbol]) {
+			const orderBook = new OrderBook(symbol, opts);
+			const getEvent = () => this.wsEvents.find(
+				(event) => event === `orderbook:${symbol}` || event === 'orderbook'
+			);
+
+			orderBook.on('stale', () => {
+				const event = getEvent();
+				if (event && this.wsConnected()) {
+					this.unsubscribe([event]).catch(() => {});
+					this.subscribe([event]).catch(() => {});
+				}
+			});
+
+			if (!getEvent() && this.wsConnected()) {
+				this.subscribe([`orderbook:${symbol}`]).catch(() => {});
+			}
+
+			this.orderBooks[symbol] = orderBook;
+		}
+		return this.orderBooks[symbol];
+	}
+
+	/**
+	 * Stop maintaining the local order book of a symbol
+	 * @param {string} symbol - The currency pair symbol e.g. 'xht-usdt'
+	 */
+	removeOrderBook(symbol) {
+		if (this.orderBooks[symbol]) {
+			this.orderBooks[symbol].destroy();
+			delete this.orderBooks[symbol];
+		}
+	}
+
+	/**
+	 * Create an order manager tracking the user's orders from REST and the order and usertrade websocket topics
+	 * @param {object} opts - Optional parameters
+	 * @param {string} opts.symbol - Only track orders of this currency pair symbol e.g. 'xht-usdt'
+	 * @return {object} A promise resolving to the OrderManager once the open orders are loaded
+	 */
+	createOrderManager(opts = { symbol: null }) {
+		const orderManager = new OrderManager(this, opts);
+		const missing = ['order', 'usertrade'].filter((topic) => !this.wsEvents.includes(topic));
+
+		if (missing.length > 0 && this.wsConnected()) {
+			this.subscribe(missing).catch(() => {});
+		}
+
+		return orderManager.start();
+	}
+
+	/**
+	 * Start executing a parent order as a series of child orders
+	 * @param {string} algorithm - The execution algorithm. Enum: ['twap', 'pov', 'iceberg']
+	 * @param {object} params - Parameters of the parent order with keys symbol, side, size, price and the parameters of the algorithm
+	 * @return {object} The running Execution
+	 */
+	createExecution(algorithm, params = {}) {
+		const Execution = EXECUTIONS[algorithm];
+
+		if (!Execution) {
+			throw new ValidationError(`algorithm must be one of ${Object.keys(EXECUTIONS).join(', ')}`);
+		}
+
+		const execution = new Execution(this, params);
+		const topics = algorithm === 'pov' ? ['order', `trade:${params.symbol}`] : ['order'];
+		const missing = topics.filter((topic) => {
+			return !this.wsEvents.includes(topic) && !this.wsEvents.includes(topic.split(':')[0]);
+		});
+
+		if (missing.length > 0 && this.wsConnected()) {
+			this.subscribe(missing).catch(() => {});
+		}
+
+		return execution.start();
+	}
+
+	/**
+	 * Place a take profit and a stop loss order, canceling one when the other fills
+	 * @param {string} symbol - The currency pair symbol e.g. 'xht-usdt'
+	 * @param {string} side - The side of both orders e.g. 'buy', 'sell'
+	 * @param {number} size - The amount of currency of each order
+	 * @param {object} opts - Prices of the orders
+	 * @param {number} opts.takeProfit - Limit price of the take profit order
+	 * @param {number} opts.stopLoss - Stop price of the stop loss order
+	 * @param {number} opts.stopLossPrice - Limit price of the stop loss order once triggered. Default: market order
+	 * @return {object} A promise resolving to the LinkedOrder once both orders are placed, rejecting after canceling the other if one is rejected
+	 */
+	createOcoOrder(symbol, side, size, opts = { takeProfit: null, stopLoss: null, stopLossPrice: null }) {
+		return this.startLinkedOrder(new LinkedOrder(this, LinkedOrder.oco(symbol, side, size, opts)));
+	}
+
+	/**
+	 * Place an entry order followed by a take profit and a stop loss order once it fills
+	 * @param {string} symbol - The currency pair symbol e.g. 'xht-usdt'
+	 * @param {string} side - The side of the entry order e.g. 'buy', 'sell'
+	 * @param {number} size - The amount of currency to order
+	 * @param {string} type - The type of the entry order e.g. 'market', 'limit'
+	 * @param {number} price - The price of the entry order (only required if type is 'limit')
+	 * @param {object} opts - Prices of the exit orders, see createOcoOrder
+	 * @return {object} A promise resolving to the LinkedOrder once the entry order is placed, rejecting if it is rejected
+	 */
+	createBracketOrder(symbol, side, size, type, price = 0, opts = { takeProfit: null, stopLoss: null, stopLossPrice: null }) {
+		return this.startLinkedOrder(new LinkedOrder(this, LinkedOrder.bracket(symbol, side, size, type, price, opts)));
+	}
+
+	/**
+	 * Resume managing an OCO or bracket order from a state saved with toJSON or the update event
+	 * @param {object} state - The saved state
+	 * @return {object} A promise resolving to the LinkedOrder once the live orders are reconciled
+	 */
+	resumeLinkedOrder(state) {
+		return this.startLinkedOrder(new LinkedOrder(this, state), true);
+	}
+
+	startLinkedOrder(linkedOrder, resume = false) {
+		if (!this.wsEvents.includes('order') && this.wsConnected()) {
+			this.subscribe(['order']).catch(() => {});
+		}
+		return resume ? linkedOrder.resume() : linkedOrder.start();
+	}
+
+	/**
+	 * Create a portfolio computing positions and PnL from the trade history and the usertrade websocket topic
+	 * @param {object} opts - Optional parameters
+	 * @param {string} opts.method - How closed size is matched against open lots. Enum: ['fifo', 'lifo', 'average']. Default: 'fifo'
+	 * @param {string} opts.symbol - Only track trades of this currency pair symbol e.g. 'xht-usdt'
+	 * @param {string} opts.startDate - Ignore trades before this date in ISO8601 format
+	 * @param {string} opts.priceSource - Prices used for unrealized PnL. Enum: ['tickers', 'oracle']. Default: 'tickers'
+	 * @return {object} A promise resolving to the Portfolio once the trade history is loaded
+	 */
+	createPortfolio(opts = { method: 'fifo', symbol: null, startDate: null, priceSource: 'tickers' }) {
+		const portfolio = new Portfolio(this, opts);
+
+		if (!this.wsEvents.includes('usertrade') && this.wsConnected()) {
+			this.subscribe(['usertrade']).catch(() => {});
+		}
+
+		return portfolio.load();
+	}
+
+	/**
+	 * Create an aggregator building OHLCV bars of a symbol from getTrades and the trade websocket topic
+	 * @param {string} symbol - The currency pair symbol e.g. 'xht-usdt'
+	 * @param {object} opts - Optional parameters
+	 * @param {string|number} opts.interval - The bar interval e.g. '1m', '5m', '1h', '1d', or a number of milliseconds. Default: '1m'
+	 * @param {number} opts.maxBars - Maximum number of closed bars kept in memory. Default: 1000
+	 * @param {boolean} opts.fillGaps - Emit flat bars with zero volume for intervals without trades. Default: true
+	 * @return {object} A promise resolving to the CandleAggregator once the recent trades are loaded
+	 */
+	createCandleAggregator(symbol, opts = { interval: '1m', maxBars: 1000, fillGaps: true }) {
+		const aggregator = new CandleAggregator(this, symbol, opts);
+		const subscribed = this.wsEvents.includes('trade') || this.wsEvents.includes(`trade:${symbol}`);
+
+		if (!subscribed && this.wsConnected()) {
+			this.subscribe([`trade:${symbol}`]).catch(() => {});
+		}
+
+		return aggregator.start();
+	}
+
+	/**
+	 * Create a tracker following deposits and withdrawals until they complete from the deposit and withdrawal websocket topics and REST polling
+	 * @param {object} opts - Optional parameters
+	 * @param {number} opts.pollInterval - Time in milliseconds between two REST lookups of the unfinished transfers. Pass 0 to rely on the websocket only. Default: 10000
+	 * @return {object} A promise resolving to the started TransferTracker
+	 */
+	createTransferTracker(opts = { pollInterval: 10000 }) {
+		const tracker = new TransferTracker(this, opts);
+		const topics = ['deposit', 'withdrawal'].filter((topic) => !this.wsEvents.includes(topic));
+
+		if (topics.length > 0 && this.wsConnected()) {
+			this.subscribe(topics).catch(() => {});
+		}
+
+		return tracker.start();
+	}
+
+	/**
+	 * Handle a message received from the websocket
+	 * @param {string} data - The raw message
+	 */
+	handleMessage(data) {
+		let message;
+		try {
+			message = JSON.parse(data);
+		} catch (err) {
+			return;
+		}
+
+		this.confirmWsOperations(message);
+
+		if (message.topic === 'orderbook' && this.orderBooks[message.symbol]) {
+			this.orderBooks[message.symbol].update(message);
+		}
+
+		if (this.paper) {
+			this.paper.handleMessage(message);
+		}
+
+		const payload = this.decimals ? parseDecimals(message) : message;
+
+		this.emit('message', payload);
+
+		if (WS_TOPICS.includes(message.topic)) {
+			this.emit(message.topic, payload);
 		}
 	}
 }
@@ -0,0 +1,377 @@
+'use strict';
+
+const EventEmitter = require('events');
+const { cloneDeep, isNumber, isPlainObject, isString } = require('lodash');
+const { ValidationError } = require('./errors');
+const { OPEN_STATUSES } = require('./orderManager');
+const { toNumbers } = require('./decimals');
+const { FINAL_STATUSES } = require('./executions');
+const { generateId, mapSettled, round, toArray } = require('./utils');
+
+const oppositeSide = (side) => side === 'buy' ? 'sell' : 'buy';
+
+const createLeg = (role, side, size, price, stop) => ({
+	role,
+	side,
+	size,
+	type: isNumber(price) ? 'limit' : 'market',
+	price: isNumber(price) ? price : null,
+	stop: isNumber(stop) ? stop : null,
+	id: null,
+	clientOrderId: null,
+	status: 'pending',
+	filled: 0,
+	previousFilled: 0,
+	placements: 0
+});
+
+/**
+ * Build the exit legs shared by OCO and bracket orders
+ * @param {string} side - The side of the exit orders
+ * @param {number} size - The size of each exit order
+ * @param {object} opts - Prices of the legs
+ * @param {number} opts.takeProfit - Limit price of the take profit leg
+ * @param {number} opts.stopLoss - Trigger price of the stop loss leg
+ * @param {number} opts.stopLossPrice - Limit price of the stop loss leg once triggered, a market order when absent
+ * @return {array} The take profit and stop loss legs
+ */
+const createExitLegs = (side, size, opts) => {
+	if (!isNumber(opts.takeProfit)) {
+		throw new ValidationError('takeProfit price is required');
+	}
+	if (!isNumber(opts.stopLoss)) {
+		throw new ValidationError('stopLoss price is required');
+	}
+	return [
+		createLeg('takeProfit', side, size, opts.takeProfit, null),
+		createLeg('stopLoss', side, size, opts.stopLossPrice, opts.stopLoss)
+	];
+};
+
+class LinkedOrder extends EventEmitter {
+	/**
+	 * Orders linked on the client, kept consistent from the order websocket topic
+	 * @param {object} client - The HollaExKit client
+	 * @param {object} state - The state of the linked order as returned by toJSON
+	 */
+	constructor(client, state) {
+		super();
+		this.client = client;
+		this.state = cloneDeep(state);
+		this.queue = Promise.resolve();
+		this.onOrder = (message) => this.handleOrderMessage(toNumbers(message));
+	}
+
+	/**
+	 * @return {object} The OCO state before any leg is placed
+	 */
+	static oco(symbol, side, size, opts = { takeProfit: null, stopLoss: null, stopLossPrice: null }) {
+		if (!isString(symbol)) {
+			throw new ValidationError('symbol is required');
+		}
+		if (side !== 'buy' && side !== 'sell') {
+			throw new ValidationError('side must be buy or sell');
+		}
+		if (!isNumber(size) || size <= 0) {
+			throw new ValidationError('size must be a positive number');
+		}
+		return {
+			id: generateId(),
+			type: 'oco',
+			symbol,
+			status: 'pending',
+			exitSize: size,
+			entry: null,
+			exits: createExitLegs(side, size, opts)
+		};
+	}
+
+	/**
+	 * @return {object} The bracket state before the entry is placed
+	 */
+	static bracket(symbol, side, size, type, price, opts = { takeProfit: null, stopLoss: null, stopLossPrice: null }) {
+		const state = LinkedOrder.oco(symbol, oppositeSide(side), size, opts);
+		if (type === 'limit' && !isNumber(price)) {
+			throw new ValidationError('price is required for limit entries');
+		}
+		return {
+			...state,
+			type: 'bracket',
+			exitSize: null,
+			exitPrices: {
+				takeProfit: opts.takeProfit,
+				stopLoss: opts.stopLoss,
+				stopLossPrice: isNumber(opts.stopLossPrice) ? opts.stopLossPrice : null
+			},
+			entry: createLeg('entry', side, size, type === 'limit' ? price : null, null),
+			exits: []
+		};
+	}
+
+	get id() {
+		return this.state.id;
+	}
+
+	get status() {
+		return this.state.status;
+	}
+
+	/**
+	 * @return {object} A copy of the state to persist and pass to resumeLinkedOrder after a restart
+	 */
+	toJSON() {
+		return cloneDeep(this.state);
+	}
+
+	/**
+	 * Start managing the legs, placing the ones that are due
+	 * @return {object} A promise resolving to the linked order once the initial legs are placed, rejecting if placing them fails
+	 */
+	start() {
+		this.client.on('order', this.onOrder);
+		if (this.state.status === 'pending') {
+			this.state.status = 'active';
+		}
+		return this.schedule().then(() => this);
+	}
+
+	/**
+	 * Look up the legs that were live when the state was saved and act on what happened since
+	 * @return {object} A promise resolving to the linked order, rejecting if placing the legs that are due fails
+	 */
+	resume() {
+		this.client.on('order', this.onOrder);
+		const legs = this.getLegs().filter((leg) => leg.status === 'placing' || OPEN_STATUSES.includes(leg.status));
+
+		return Promise.all(legs.map((leg) => {
+			const lookup = leg.id
+				? this.client.getOrder(leg.id)
+				: this.client.getOrderByClientId(leg.clientOrderId, { symbol: this.state.symbol });
+			return lookup.then((order) => {
+				if (order) {
+					this.applyOrder(leg, order);
+				} else if (leg.status === 'placing') {
+					// The process stopped before the order reached the exchange
+					leg.status = 'pending';
+				}
+			});
+		}))
+			.then(() => this.schedule())
+			.then(() => this);
+	}
+
+	/**
+	 * Cancel every open leg and stop managing the order
+	 * @return {object} A promise resolving to the final state
+	 */
+	cancel() {
+		this.queue = this.queue.then(() => {
+			if (FINAL_STATUSES.includes(this.state.status)) {
+				return;
+			}
+			return this.cancelLegs(this.getLegs()).then(() => this.finish('canceled'));
+		});
+		return this.queue.then(() => this.toJSON());
+	}
+
+	getLegs() {
+		return this.state.entry ? [this.state.entry, ...this.state.exits] : this.state.exits;
+	}
+
+	// Resolves once the legs are evaluated, rejecting with the error that failed the order once its legs are canceled
+	schedule() {
+		const evaluation = this.queue.then(() => this.evaluate());
+		this.queue = evaluation.catch((err) => this.fail(err));
+		return this.queue.then(() => evaluation);
+	}
+
+	evaluate() {
+		const { entry } = this.state;
+
+		if (FINAL_STATUSES.includes(this.state.status)) {
+			return;
+		}
+
+		if (entry) {
+			if (entry.status === 'pending') {
+				return this.placeLeg(entry).then(() => this.evaluate());
+			}
+			if (OPEN_STATUSES.includes(entry.status)) {
+				return;
+			}
+			if (this.state.exits.length === 0) {
+				if (entry.filled <= 0) {
+					return this.finish('canceled');
+				}
+				// A bracket protects whatever the entry filled, even if the rest was canceled
+				this.state.exitSize = entry.filled;
+				this.state.exits = createExitLegs(oppositeSide(entry.side), entry.filled, this.state.exitPrices);
+				this.emitUpdate();
+			}
+		}
+
+		const legs = this.state.exits;
+		const size = this.state.exitSize;
+		const filled = round(legs.reduce((total, leg) => total + leg.previousFilled + leg.filled, 0));
+		const remaining = round(size - filled);
+
+		if (remaining <= 0 || legs.some((leg) => leg.status === 'filled')) {
+			return this.cancelLegs(legs).then(() => this.finish('completed'));
+		}
+
+		const pending = legs.filter((leg) => leg.status === 'pending');
+		if (pending.length > 0) {
+			pending.forEach((leg) => {
+				leg.size = remaining;
+			});
+			// Wait for every placement so a leg answered after a sibling was rejected is canceled with the others
+			return mapSettled(pending, pending.length, (leg) => this.placeLeg(leg)).then((results) => {
+				const failure = results.find((result) => !result.success);
+				if (failure) {
+					throw failure.error;
+				}
+				return this.evaluate();
+			});
+		}
+
+		const open = legs.filter((leg) => OPEN_STATUSES.includes(leg.status));
+		if (open.length === 0) {
+			return this.finish('canceled');
+		}
+
+		// A partial fill of one leg shrinks the other so the legs never execute more than the position
+		const oversized = open.filter((leg) => round(leg.size - leg.filled) > remaining);
+		return Promise.all(oversized.map((leg) => this.resizeLeg(leg))).then((resized) => {
+			if (resized.some(Boolean)) {
+				return this.evaluate();
+			}
+		});
+	}
+
+	placeLeg(leg) {
+		leg.placements++;
+		leg.clientOrderId = `${this.state.id}-${leg.role}-${leg.placements}`;
+		leg.status = 'placing';
+		// Persist the client order id first so a restart can find an order whose response was lost
+		this.emitUpdate();
+
+		const opts = { clientOrderId: leg.clientOrderId };
+		if (leg.stop !== null) {
+			opts.stop = leg.stop;
+		}
+
+		return this.client.createOrder(this.state.symbol, leg.side, leg.size, leg.type, leg.price || 0, opts)
+			.then((order) => {
+				this.applyOrder(leg, order);
+				if (FINAL_STATUSES.includes(this.state.status)) {
+					// The linked order ended while this leg was being placed
+					return this.cancelLegs([leg]);
+				}
+				this.emit('leg', { ...leg });
+			});
+	}
+
+	resizeLeg(leg) {
+		return this.cancelLegs([leg]).then(() => {
+			if (leg.status !== 'canceled') {
+				return false;
+			}
+			leg.previousFilled = round(leg.previousFilled + leg.filled);
+			leg.filled = 0;
+			leg.id = null;
+			leg.status = 'pending';
+			return true;
+		});
+	}
+
+	cancelLegs(legs) {
+		// A leg still placing may have reached the exchange even if its response was lost
+		const placing = legs.filter((leg) => leg.status === 'placing' && leg.clientOrderId);
+		return Promise.all(placing.map((leg) => {
+			return this.client.getOrderByClientId(leg.clientOrderId, { symbol: this.state.symbol })
+				.then((order) => this.applyOrder(leg, order))
+				.catch(() => {});
+		})).then(() => Promise.all(legs.filter((leg) => OPEN_STATUSES.includes(leg.status)).map((leg) => {
+			return this.client.cancelOrder(leg.id)
+				.then((order) => this.applyOrder(leg, order))
+				.catch(() => {
+					// The leg may have filled in the meantime, take the exchange's word for it
+					return this.client.getOrder(leg.id)
+						.then((order) => this.applyOrder(leg, order))
+						.catch(() => {});
+				});
+		})));
+	}
+
+	handleOrderMessage(message) {
+		let changed = false;
+		toArray(message.data).forEach((order) => {
+			const leg = order && this.getLegs().find((leg) => {
+				const clientOrderId = isPlainObject(order.meta) ? order.meta.client_order_id : null;
+				return (leg.id && leg.id === order.id) || (leg.clientOrderId && leg.clientOrderId === clientOrderId);
+			});
+			if (leg && this.applyOrder(leg, order)) {
+				changed = true;
+			}
+		});
+		if (changed && !FINAL_STATUSES.includes(this.state.status)) {
+			// Failures are reported by fail
+			this.schedule().catch(() => {});
+		}
+	}
+
+	applyOrder(leg, order) {
+		if (!order || !isString(order.id) || (leg.id && leg.id !== order.id)) {
+			return false;
+		}
+
+		const filled = Math.max(order.filled || 0, leg.filled);
+		const status = OPEN_STATUSES.includes(leg.status) || leg.status === 'placing' || leg.status === 'pending'
+			? order.status || leg.status
+			: leg.status;
+
+		if (leg.id === order.id && filled === leg.filled && status === leg.status) {
+			return false;
+		}
+
+		const fill = filled > leg.filled;
+		leg.id = order.id;
+		leg.filled = filled;
+		leg.status = status;
+		this.emitUpdate();
+		if (fill) {
+			this.emit('fill', { ...leg });
+		}
+		return true;
+	}
+
+	finish(status) {
+		this.state.status = status;
+		this.client.removeListener('order', this.onOrder);
+		this.emitUpdate();
+		this.emit(status, this.toJSON());
+	}
+
+	fail(err) {
+		if (FINAL_STATUSES.includes(this.state.status)) {
+			return Promise.resolve();
+		}
+		// The legs already placed must not outlive the order managing them
+		return this.cancelLegs(this.getLegs()).then(() => {
+			this.state.status = 'failed';
+			this.client.removeListener('order', this.onOrder);
+			this.emitUpdate();
+			if (this.listenerCount('error') > 0) {
+				this.emit('error', err);
+			}
+		});
+	}
+
+	emitUpdate() {
+		this.emit('update', this.toJSON());
+	}
+}
+
+module.exports = {
+	LinkedOrder
+};
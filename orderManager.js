@@ -0,0 +1,264 @@
+'use strict';
+
+const EventEmitter = require('events');
+const { isNumber, isString } = require('lodash');
+const { HollaExError, OrderNotFoundError } = require('./errors');
+const { toNumbers } = require('./decimals');
+const { round, toArray } = require('./utils');
+
+const OPEN_STATUSES = ['new', 'pfilled'];
+
+class OrderManager extends EventEmitter {
+	/**
+	 * Authoritative map of the user's orders kept up to date from REST and the order and usertrade websocket topics
+	 * @param {object} client - The HollaExKit client
+	 * @param {object} opts - Optional parameters
+	 * @param {string} opts.symbol - Only track orders of this currency pair symbol e.g. 'xht-usdt'
+	 */
+	constructor(client, opts = { symbol: null }) {
+		super();
+		this.client = client;
+		this.symbol = opts.symbol || null;
+		this.orders = new Map();
+		this.fills = new Map();
+		this.waiters = new Map();
+		this.started = false;
+		this.onOrder = (message) => this.handleOrderMessage(toNumbers(message));
+		this.onUserTrade = (message) => this.handleUserTradeMessage(toNumbers(message));
+		this.onReconnected = () => {
+			this.reconcile().catch((err) => {
+				if (this.listenerCount('error') > 0) {
+					this.emit('error', err);
+				}
+			});
+		};
+	}
+
+	/**
+	 * Start listening to the client and seed the open orders through REST
+	 * @return {object} A promise resolving to the manager once the open orders are loaded
+	 */
+	start() {
+		if (!this.started) {
+			this.started = true;
+			this.client.on('order', this.onOrder);
+			this.client.on('usertrade', this.onUserTrade);
+			this.client.on('reconnected', this.onReconnected);
+		}
+		return this.reconcile().then(() => this);
+	}
+
+	/**
+	 * Stop listening to the client and reject every pending waitForFill
+	 */
+	stop() {
+		if (this.started) {
+			this.started = false;
+			this.client.removeListener('order', this.onOrder);
+			this.client.removeListener('usertrade', this.onUserTrade);
+			this.client.removeListener('reconnected', this.onReconnected);
+		}
+		this.waiters.forEach((waiters, orderId) => {
+			this.settleWaiters(orderId, new HollaExError(`Order manager stopped before order ${orderId} filled`));
+		});
+	}
+
+	/**
+	 * Fetch the open orders through REST and look up the final state of tracked orders that are no longer open
+	 * @return {object} A promise resolving once every change missed by the websocket is applied
+	 */
+	reconcile() {
+		const opts = { open: true };
+		if (this.symbol) {
+			opts.symbol = this.symbol;
+		}
+
+		return this.client.paginate('getOrders', opts).all().then((openOrders) => {
+			const openIds = openOrders.map((order) => order.id);
+			openOrders.forEach((order) => this.apply(order));
+
+			const missing = this.getOpenOrders().filter((order) => !openIds.includes(order.id));
+			return Promise.all(missing.map((order) => {
+				return this.client.getOrder(order.id)
+					.then((latest) => this.apply(latest))
+					.catch((err) => {
+						if (!(err instanceof OrderNotFoundError)) {
+							throw err;
+						}
+						this.apply({ ...order, status: 'canceled' });
+					});
+			}));
+		});
+	}
+
+	/**
+	 * Track an order returned by createOrder before its websocket insert arrives
+	 * @param {object} order - The order as returned by the exchange
+	 * @return {object} The tracked order
+	 */
+	track(order) {
+		return this.apply(order);
+	}
+
+	handleOrderMessage(message) {
+		toArray(message.data).forEach((order) => this.apply(order));
+	}
+
+	handleUserTradeMessage(message) {
+		toArray(message.data).forEach((trade) => {
+			if (!isString(trade.order_id) || !this.orders.has(trade.order_id)) {
+				return;
+			}
+			const fills = this.fills.get(trade.order_id) || [];
+			fills.push(trade);
+			this.fills.set(trade.order_id, fills);
+
+			// Trades can arrive before the order update, never let filled go backwards
+			const order = this.orders.get(trade.order_id);
+			const filled = round(fills.reduce((total, fill) => total + fill.size, 0));
+			if (filled > order.filled) {
+				this.apply({
+					id: order.id,
+					filled,
+					status: filled >= order.size ? 'filled' : 'pfilled'
+				});
+			}
+		});
+	}
+
+	apply(update) {
+		if (!update || !isString(update.id)) {
+			return null;
+		}
+		if (this.symbol && update.symbol && update.symbol !== this.symbol) {
+			return null;
+		}
+
+		const previous = this.orders.get(update.id);
+		const order = { ...previous, ...update };
+
+		if (previous && isNumber(previous.filled) && isNumber(update.filled) && update.filled < previous.filled) {
+			order.filled = previous.filled;
+			order.status = previous.status;
+		}
+		if (previous && !OPEN_STATUSES.includes(previous.status)) {
+			order.status = previous.status;
+		}
+
+		this.orders.set(order.id, order);
+
+		const previousStatus = previous ? previous.status : null;
+		if (order.status !== previousStatus) {
+			this.emit('statusChange', order, previousStatus);
+		}
+		if (order.status === 'filled') {
+			this.settleWaiters(order.id, null, order);
+		} else if (order.status === 'canceled') {
+			const err = new HollaExError(`Order ${order.id} was canceled after filling ${order.filled || 0}`);
+			err.order = order;
+			this.settleWaiters(order.id, err);
+		}
+		return order;
+	}
+
+	settleWaiters(orderId, err, order) {
+		(this.waiters.get(orderId) || []).forEach((waiter) => {
+			clearTimeout(waiter.timer);
+			if (err) {
+				waiter.reject(err);
+			} else {
+				waiter.resolve(order);
+			}
+		});
+		this.waiters.delete(orderId);
+	}
+
+	/**
+	 * Register a listener called whenever a tracked order changes status
+	 * @param {function} listener - Function receiving (order, previousStatus)
+	 * @return {function} Function removing the listener
+	 */
+	onStatusChange(listener) {
+		this.on('statusChange', listener);
+		return () => this.removeListener('statusChange', listener);
+	}
+
+	/**
+	 * Wait until an order is completely filled
+	 * @param {string} orderId - The id of the order
+	 * @param {object} opts - Optional parameters
+	 * @param {number} opts.timeout - Time in milliseconds to wait before rejecting. Default: no timeout
+	 * @return {object} A promise resolving to the filled order, rejecting if the order is canceled or the timeout expires
+	 */
+	waitForFill(orderId, opts = { timeout: null }) {
+		const order = this.orders.get(orderId);
+		if (order && order.status === 'filled') {
+			return Promise.resolve(order);
+		}
+		if (order && order.status === 'canceled') {
+			const err = new HollaExError(`Order ${orderId} was canceled after filling ${order.filled || 0}`);
+			err.order = order;
+			return Promise.reject(err);
+		}
+
+		return new Promise((resolve, reject) => {
+			const waiter = { resolve, reject, timer: null };
+			if (isNumber(opts.timeout)) {
+				waiter.timer = setTimeout(() => {
+					const waiters = (this.waiters.get(orderId) || []).filter((item) => item !== waiter);
+					if (waiters.length > 0) {
+						this.waiters.set(orderId, waiters);
+					} else {
+						this.waiters.delete(orderId);
+					}
+					reject(new HollaExError(`Timed out waiting for order ${orderId} to fill`));
+				}, opts.timeout);
+			}
+			this.waiters.set(orderId, [...(this.waiters.get(orderId) || []), waiter]);
+		});
+	}
+
+	/**
+	 * @param {string} orderId - The id of the order
+	 * @return {object} The tracked order or undefined
+	 */
+	getOrder(orderId) {
+		return this.orders.get(orderId);
+	}
+
+	/**
+	 * @param {string} symbol - Optional currency pair symbol to filter by
+	 * @return {array} The tracked orders that are still open
+	 */
+	getOpenOrders(symbol) {
+		return Array.from(this.orders.values()).filter((order) => {
+			return OPEN_STATUSES.includes(order.status) && (!symbol || order.symbol === symbol);
+		});
+	}
+
+	/**
+	 * @param {string} orderId - The id of the order
+	 * @return {number} The filled size of the order, 0 if it is not tracked
+	 */
+	getFilledSize(orderId) {
+		const order = this.orders.get(orderId);
+		return order ? order.filled || 0 : 0;
+	}
+
+	/**
+	 * @param {string} orderId - The id of the order
+	 * @return {number} The size left to fill, 0 if the order is closed or not tracked
+	 */
+	getRemainingSize(orderId) {
+		const order = this.orders.get(orderId);
+		if (!order || !OPEN_STATUSES.includes(order.status)) {
+			return 0;
+		}
+		return Math.max(order.size - (order.filled || 0), 0);
+	}
+}
+
+module.exports = {
+	OPEN_STATUSES,
+	OrderManager
+};
@@ -0,0 +1,132 @@
+'use strict';
+
+const EventEmitter = require('events');
+const { isArray, isNumber } = require('lodash');
+
+const sumSizes = (levels) => levels.reduce((total, [, size]) => total + size, 0);
+
+class OrderBook extends EventEmitter {
+	/**
+	 * Local order book for a symbol kept up to date from the orderbook websocket topic
+	 * @param {string} symbol - The currency pair symbol e.g. 'xht-usdt'
+	 * @param {object} opts - Optional parameters
+	 * @param {number} opts.staleTimeout - Time in milliseconds without updates after which the book is considered stale. Pass 0 to disable. Default: 60000
+	 */
+	constructor(symbol, opts = { staleTimeout: 60000 }) {
+		super();
+		this.symbol = symbol;
+		this.bids = [];
+		this.asks = [];
+		this.timestamp = null;
+		this.lastUpdate = null;
+		this.stale = false;
+		this.staleTimeout = isNumber(opts.staleTimeout) ? opts.staleTimeout : 60000;
+		this.staleTimer = null;
+		this.watchStaleness();
+	}
+
+	/**
+	 * Apply an orderbook websocket message to the book
+	 * @param {object} message - The parsed websocket message with keys topic, action, symbol and data
+	 */
+	update(message) {
+		if (message.symbol !== this.symbol || !message.data) {
+			return;
+		}
+
+		const { bids, asks, timestamp } = message.data;
+		this.bids = isArray(bids) ? [...bids].sort((a, b) => b[0] - a[0]) : [];
+		this.asks = isArray(asks) ? [...asks].sort((a, b) => a[0] - b[0]) : [];
+		this.timestamp = timestamp || null;
+		this.lastUpdate = Date.now();
+		this.stale = false;
+		this.watchStaleness();
+		this.emit('change', this);
+	}
+
+	/**
+	 * @return {array} The best bid as [price, size] or null if there are no bids
+	 */
+	getBestBid() {
+		return this.bids[0] || null;
+	}
+
+	/**
+	 * @return {array} The best ask as [price, size] or null if there are no asks
+	 */
+	getBestAsk() {
+		return this.asks[0] || null;
+	}
+
+	/**
+	 * @return {number} Difference between the best ask and best bid prices or null if a side is empty
+	 */
+	getSpread() {
+		const bid = this.getBestBid();
+		const ask = this.getBestAsk();
+		return bid && ask ? ask[0] - bid[0] : null;
+	}
+
+	/**
+	 * @return {number} Mid price between the best bid and best ask or null if a side is empty
+	 */
+	getMid() {
+		const bid = this.getBestBid();
+		const ask = this.getBestAsk();
+		return bid && ask ? (ask[0] + bid[0]) / 2 : null;
+	}
+
+	/**
+	 * Get the top levels of the book
+	 * @param {number} levels - Number of levels per side. Default: all levels
+	 * @return {object} A JSON object with keys bids(array of [price, size]) and asks(array of [price, size])
+	 */
+	getDepth(levels = Infinity) {
+		return {
+			bids: this.bids.slice(0, levels),
+			asks: this.asks.slice(0, levels)
+		};
+	}
+
+	/**
+	 * Get the total size available at the given price or better
+	 * @param {string} side - Side of the book e.g. 'bids', 'asks'
+	 * @param {number} price - The price limit
+	 * @return {number} Sum of the sizes of bids at or above the price, or asks at or below the price
+	 */
+	getCumulativeSize(side, price) {
+		if (side === 'bids') {
+			return sumSizes(this.bids.filter(([levelPrice]) => levelPrice >= price));
+		}
+		return sumSizes(this.asks.filter(([levelPrice]) => levelPrice <= price));
+	}
+
+	/**
+	 * Stop the staleness timer and remove all listeners
+	 */
+	destroy() {
+		clearTimeout(this.staleTimer);
+		this.staleTimer = null;
+		this.removeAllListeners();
+	}
+
+	watchStaleness() {
+		clearTimeout(this.staleTimer);
+
+		if (this.staleTimeout > 0) {
+			this.staleTimer = setTimeout(() => {
+				this.stale = true;
+				this.emit('stale', this);
+				this.watchStaleness();
+			}, this.staleTimeout);
+
+			if (this.staleTimer.unref) {
+				this.staleTimer.unref();
+			}
+		}
+	}
+}
+
+module.exports = {
+	OrderBook
+};
@@ -0,0 +1,66 @@
+'use strict';
+
+const { isArray, isNumber } = require('lodash');
+const { sleep } = require('./utils');
+
+class Paginator {
+	/**
+	 * Async iterable walking every page of a list endpoint
+	 * @param {function} fetchPage - Function receiving the filters with page and limit and returning a promise of { count, data }
+	 * @param {object} opts - Filters passed to every page e.g. { currency: 'btc' }
+	 * @param {object} paginationOpts - Optional parameters
+	 * @param {number} paginationOpts.pageSize - Number of rows per page. Maximum: 50. Default: 50
+	 * @param {number} paginationOpts.maxPages - Maximum number of pages to fetch. Default: Infinity
+	 * @param {number} paginationOpts.delay - Time in milliseconds to wait between pages. Default: 0
+	 */
+	constructor(fetchPage, opts = {}, paginationOpts = { pageSize: 50, maxPages: Infinity, delay: 0 }) {
+		this.fetchPage = fetchPage;
+		this.opts = opts;
+		this.pageSize = paginationOpts.pageSize || opts.limit || 50;
+		this.maxPages = paginationOpts.maxPages || Infinity;
+		this.delay = paginationOpts.delay || 0;
+	}
+
+	async *[Symbol.asyncIterator]() {
+		let page = isNumber(this.opts.page) ? this.opts.page : 1;
+		let pages = 0;
+
+		while (pages < this.maxPages) {
+			if (pages > 0 && this.delay > 0) {
+				await sleep(this.delay);
+			}
+
+			const response = await this.fetchPage({ ...this.opts, page, limit: this.pageSize });
+			const rows = isArray(response) ? response : (response && response.data) || [];
+			const count = response && isNumber(response.count) ? response.count : null;
+
+			for (let row of rows) {
+				yield row;
+			}
+
+			pages++;
+
+			if (rows.length < this.pageSize || (count !== null && page * this.pageSize >= count)) {
+				return;
+			}
+
+			page++;
+		}
+	}
+
+	/**
+	 * Collect the rows of every page
+	 * @return {object} A promise resolving to an array of all rows
+	 */
+	async all() {
+		const rows = [];
+		for await (const row of this) {
+			rows.push(row);
+		}
+		return rows;
+	}
+}
+
+module.exports = {
+	Paginator
+};
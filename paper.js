@@ -0,0 +1,419 @@
+'use strict';
+
+const moment = require('moment');
+const { isArray, isBoolean, isNumber, isPlainObject, isString, omit } = require('lodash');
+const { ValidationError, InsufficientBalanceError, OrderNotFoundError } = require('./errors');
+const { generateId, round } = require('./utils');
+
+// Bookkeeping kept on the simulated orders but never returned
+const INTERNAL_KEYS = ['locked', 'triggered'];
+
+const paginate = (rows, opts = {}) => {
+	const limit = isNumber(opts.limit) ? opts.limit : 50;
+	const page = isNumber(opts.page) ? opts.page : 1;
+	return {
+		count: rows.length,
+		data: rows.slice((page - 1) * limit, page * limit)
+	};
+};
+
+class PaperAccount {
+	/**
+	 * Simulated account matching orders locally against the market data fed to it
+	 * @param {object} opts - Optional parameters
+	 * @param {object} opts.balances - Starting balances by currency e.g. { usdt: 1000, xht: 100 }
+	 * @param {object} opts.fees - Fee percentages e.g. { maker: 0.1, taker: 0.2 }. Default: { maker: 0.1, taker: 0.1 }
+	 * @param {number} opts.userId - User id set on simulated orders and messages. Default: 0
+	 * @param {function} opts.emit - Function receiving (topic, message) for every websocket-shaped update
+	 */
+	constructor(opts = { balances: {}, fees: null, userId: 0, emit: null }) {
+		this.fees = { maker: 0.1, taker: 0.1, ...(isPlainObject(opts.fees) ? opts.fees : {}) };
+		this.userId = opts.userId || 0;
+		this.emit = opts.emit || (() => {});
+		this.balances = {};
+		this.orders = [];
+		this.trades = [];
+		this.books = {};
+
+		Object.keys(opts.balances || {}).forEach((currency) => {
+			this.balances[currency] = {
+				balance: opts.balances[currency],
+				available: opts.balances[currency]
+			};
+		});
+	}
+
+	/* Market data */
+
+	/**
+	 * Replace the order book of a symbol, fill the resting orders it crosses and trigger the stop orders it reaches
+	 * @param {string} symbol - The currency pair symbol e.g. 'xht-usdt'
+	 * @param {object} book - A JSON object with keys bids and asks as arrays of [price, size]
+	 */
+	updateOrderbook(symbol, book) {
+		this.books[symbol] = {
+			bids: (book.bids || []).map(([price, size]) => [price, size]).sort((a, b) => b[0] - a[0]),
+			asks: (book.asks || []).map(([price, size]) => [price, size]).sort((a, b) => a[0] - b[0])
+		};
+
+		this.getRestingOrders(symbol).forEach((order) => {
+			const levels = order.side === 'buy' ? this.books[symbol].asks : this.books[symbol].bids;
+			this.fillFromLevels(order, levels, order.price, 'maker', true);
+		});
+
+		// Buy stops follow the best ask and sell stops the best bid
+		const [bid] = this.books[symbol].bids;
+		const [ask] = this.books[symbol].asks;
+		this.triggerStops(symbol, 'buy', ask ? ask[0] : null);
+		this.triggerStops(symbol, 'sell', bid ? bid[0] : null);
+	}
+
+	/**
+	 * Fill the resting orders of a symbol that a public trade went through and trigger the stop orders it reached
+	 * @param {string} symbol - The currency pair symbol e.g. 'xht-usdt'
+	 * @param {object} trade - A JSON object with keys price and size
+	 */
+	addTrade(symbol, trade) {
+		let available = trade.size;
+		const orders = this.getRestingOrders(symbol)
+			.filter((order) => order.side === 'buy' ? trade.price <= order.price : trade.price >= order.price)
+			.sort((a, b) => a.side === 'buy' ? b.price - a.price : a.price - b.price);
+
+		for (let order of orders) {
+			if (available <= 0) {
+				break;
+			}
+			const size = Math.min(available, round(order.size - order.filled));
+			this.applyFill(order, size, order.price, 'maker');
+			available = round(available - size);
+		}
+
+		this.triggerStops(symbol, 'buy', trade.price);
+		this.triggerStops(symbol, 'sell', trade.price);
+	}
+
+	/**
+	 * Feed a parsed websocket message from the orderbook or trade topic
+	 * @param {object} message - The parsed websocket message
+	 */
+	handleMessage(message) {
+		if (message.topic === 'orderbook' && isPlainObject(message.data)) {
+			this.updateOrderbook(message.symbol, message.data);
+		} else if (message.topic === 'trade' && message.action !== 'partial' && isArray(message.data)) {
+			message.data.forEach((trade) => this.addTrade(message.symbol, trade));
+		}
+	}
+
+	/* Account */
+
+	getBalance() {
+		const balance = { updated_at: moment().toISOString() };
+		Object.keys(this.balances).forEach((currency) => {
+			balance[`${currency}_balance`] = this.balances[currency].balance;
+			balance[`${currency}_available`] = this.balances[currency].available;
+		});
+		return Promise.resolve(balance);
+	}
+
+	getOrder(orderId) {
+		const order = this.orders.find((order) => order.id === orderId);
+		return order
+			? Promise.resolve(omit(order, INTERNAL_KEYS))
+			: Promise.reject(new OrderNotFoundError('Order not found', { status: 404 }));
+	}
+
+	getOrders(opts = {}) {
+		const orders = this.orders
+			.filter((order) => !isString(opts.symbol) || order.symbol === opts.symbol)
+			.filter((order) => !isString(opts.side) || order.side === opts.side.toLowerCase())
+			.filter((order) => !isString(opts.status) || order.status === opts.status)
+			.filter((order) => !isBoolean(opts.open) || this.isOpen(order) === opts.open)
+			.map((order) => omit(order, INTERNAL_KEYS))
+			.reverse();
+		return Promise.resolve(paginate(orders, opts));
+	}
+
+	getUserTrades(opts = {}) {
+		const trades = this.trades
+			.filter((trade) => !isString(opts.symbol) || trade.symbol === opts.symbol)
+			.map((trade) => ({ ...trade }))
+			.reverse();
+		return Promise.resolve(paginate(trades, opts));
+	}
+
+	/* Orders */
+
+	createOrder(symbol, side, size, type, price = 0, opts = { stop: null, meta: null }) {
+		try {
+			return Promise.resolve(omit(this.placeOrder(symbol, side, size, type, price, opts), INTERNAL_KEYS));
+		} catch (err) {
+			return Promise.reject(err);
+		}
+	}
+
+	cancelOrder(orderId) {
+		const order = this.orders.find((order) => order.id === orderId);
+
+		if (!order || !this.isOpen(order)) {
+			return Promise.reject(new OrderNotFoundError('Order not found', { status: 404 }));
+		}
+
+		this.cancel(order);
+		return Promise.resolve(omit(order, INTERNAL_KEYS));
+	}
+
+	cancelAllOrders(symbol) {
+		const orders = this.getOpenOrders(symbol);
+		orders.forEach((order) => this.cancel(order));
+		return Promise.resolve(orders.map((order) => omit(order, INTERNAL_KEYS)));
+	}
+
+	placeOrder(symbol, side, size, type, price, opts) {
+		const [base, quote] = symbol.split('-');
+		const book = this.books[symbol] || { bids: [], asks: [] };
+
+		if (side !== 'buy' && side !== 'sell') {
+			throw new ValidationError('Invalid side', { status: 400 });
+		}
+		if (type !== 'market' && type !== 'limit') {
+			throw new ValidationError('Invalid order type', { status: 400 });
+		}
+		if (!isNumber(size) || size <= 0) {
+			throw new ValidationError('Invalid size', { status: 400 });
+		}
+		if (type === 'limit' && (!isNumber(price) || price <= 0)) {
+			throw new ValidationError('Invalid price', { status: 400 });
+		}
+		if (isNumber(opts.stop) && opts.stop <= 0) {
+			throw new ValidationError('Invalid stop', { status: 400 });
+		}
+
+		let lock;
+		if (type === 'market') {
+			const levels = side === 'buy' ? book.asks : book.bids;
+			const cost = this.getMarketCost(levels, size);
+			if (cost === null) {
+				throw new ValidationError('Not enough liquidity in the order book', { status: 400 });
+			}
+			lock = side === 'buy' ? cost : size;
+		} else {
+			lock = side === 'buy' ? round(size * price) : size;
+		}
+
+		const lockCurrency = side === 'buy' ? quote : base;
+		const wallet = this.balances[lockCurrency] || { balance: 0, available: 0 };
+		if (wallet.available < lock) {
+			throw new InsufficientBalanceError('Insufficient balance to perform the order', { status: 400 });
+		}
+		wallet.available = round(wallet.available - lock);
+		this.balances[lockCurrency] = wallet;
+
+		const now = moment().toISOString();
+		const order = {
+			id: generateId(),
+			side,
+			symbol,
+			type,
+			size,
+			filled: 0,
+			price: type === 'limit' ? price : 0,
+			stop: isNumber(opts.stop) ? opts.stop : null,
+			status: 'new',
+			fee: 0,
+			fee_coin: side === 'buy' ? base : quote,
+			meta: isPlainObject(opts.meta) ? opts.meta : {},
+			fee_structure: { ...this.fees },
+			created_at: now,
+			updated_at: now,
+			created_by: this.userId,
+			locked: lock,
+			triggered: !isNumber(opts.stop)
+		};
+		this.orders.push(order);
+		this.emitOrder('insert', order);
+
+		// Stop orders wait for the market to reach the stop before they match
+		if (order.triggered) {
+			const levels = side === 'buy' ? book.asks : book.bids;
+			this.fillFromLevels(order, levels, type === 'limit' ? price : null, 'taker', false);
+		}
+		return order;
+	}
+
+	triggerStops(symbol, side, price) {
+		if (!isNumber(price)) {
+			return;
+		}
+		this.getOpenOrders(symbol)
+			.filter((order) => !order.triggered && order.side === side)
+			.filter((order) => side === 'buy' ? price >= order.stop : price <= order.stop)
+			.forEach((order) => this.trigger(order));
+	}
+
+	trigger(order) {
+		const book = this.books[order.symbol] || { bids: [], asks: [] };
+		const levels = order.side === 'buy' ? book.asks : book.bids;
+		order.triggered = true;
+
+		if (order.type === 'market') {
+			const [base, quote] = order.symbol.split('-');
+			const wallet = this.balances[order.side === 'buy' ? quote : base];
+			const cost = this.getMarketCost(levels, order.size);
+			// The book may have moved since the order was placed, lock what the fill costs now
+			const lock = order.side === 'buy' ? cost : order.size;
+			if (cost === null || wallet.available + order.locked < lock) {
+				this.cancel(order);
+				return;
+			}
+			wallet.available = round(wallet.available + order.locked - lock);
+			order.locked = lock;
+		}
+
+		this.fillFromLevels(order, levels, order.type === 'limit' ? order.price : null, 'taker', false);
+	}
+
+	getMarketCost(levels, size) {
+		let remaining = size;
+		let cost = 0;
+		for (let [price, levelSize] of levels) {
+			const fill = Math.min(remaining, levelSize);
+			cost += fill * price;
+			remaining = round(remaining - fill);
+			if (remaining <= 0) {
+				return round(cost);
+			}
+		}
+		return null;
+	}
+
+	fillFromLevels(order, levels, limitPrice, liquidity, atOrderPrice) {
+		for (let level of levels) {
+			const remaining = round(order.size - order.filled);
+			const [levelPrice, levelSize] = level;
+			const crosses = limitPrice === null
+				|| (order.side === 'buy' ? levelPrice <= limitPrice : levelPrice >= limitPrice);
+
+			if (remaining <= 0 || !crosses) {
+				break;
+			}
+			if (levelSize <= 0) {
+				continue;
+			}
+
+			const size = Math.min(remaining, levelSize);
+			this.applyFill(order, size, atOrderPrice ? order.price : levelPrice, liquidity);
+			level[1] = round(levelSize - size);
+		}
+	}
+
+	applyFill(order, size, price, liquidity) {
+		const [base, quote] = order.symbol.split('-');
+		const rate = this.fees[liquidity] / 100;
+		const value = round(size * price);
+		const baseWallet = this.balances[base] || (this.balances[base] = { balance: 0, available: 0 });
+		const quoteWallet = this.balances[quote] || (this.balances[quote] = { balance: 0, available: 0 });
+		let fee;
+
+		if (order.side === 'buy') {
+			const released = order.type === 'limit' ? round(size * order.price) : value;
+			fee = round(size * rate);
+			quoteWallet.balance = round(quoteWallet.balance - value);
+			quoteWallet.available = round(quoteWallet.available + released - value);
+			baseWallet.balance = round(baseWallet.balance + size - fee);
+			baseWallet.available = round(baseWallet.available + size - fee);
+			order.locked = round(order.locked - released);
+		} else {
+			fee = round(value * rate);
+			baseWallet.balance = round(baseWallet.balance - size);
+			quoteWallet.balance = round(quoteWallet.balance + value - fee);
+			quoteWallet.available = round(quoteWallet.available + value - fee);
+			order.locked = round(order.locked - size);
+		}
+
+		order.filled = round(order.filled + size);
+		order.fee = round(order.fee + fee);
+		order.status = order.filled >= order.size ? 'filled' : 'pfilled';
+		order.updated_at = moment().toISOString();
+
+		if (order.status === 'filled' && order.locked > 0) {
+			// Market buys lock the estimated cost, return what the fills did not use
+			const wallet = order.side === 'buy' ? quoteWallet : baseWallet;
+			wallet.available = round(wallet.available + order.locked);
+			order.locked = 0;
+		}
+
+		const trade = {
+			side: order.side,
+			symbol: order.symbol,
+			size,
+			price,
+			timestamp: order.updated_at,
+			fee,
+			fee_coin: order.fee_coin,
+			order_id: order.id
+		};
+		this.trades.push(trade);
+
+		this.emitOrder('update', order);
+		this.emit('usertrade', {
+			topic: 'usertrade',
+			action: 'insert',
+			user_id: this.userId,
+			symbol: order.symbol,
+			data: [trade],
+			time: moment().unix()
+		});
+		this.emitWallet();
+	}
+
+	cancel(order) {
+		const [base, quote] = order.symbol.split('-');
+		const wallet = this.balances[order.side === 'buy' ? quote : base];
+		wallet.available = round(wallet.available + order.locked);
+		order.locked = 0;
+		order.status = 'canceled';
+		order.updated_at = moment().toISOString();
+		this.emitOrder('update', order);
+		this.emitWallet();
+	}
+
+	isOpen(order) {
+		return order.status === 'new' || order.status === 'pfilled';
+	}
+
+	getOpenOrders(symbol) {
+		return this.orders.filter((order) => order.symbol === symbol && this.isOpen(order));
+	}
+
+	// Open orders on the book, without the stop orders still waiting for their stop
+	getRestingOrders(symbol) {
+		return this.getOpenOrders(symbol).filter((order) => order.triggered);
+	}
+
+	emitOrder(action, order) {
+		this.emit('order', {
+			topic: 'order',
+			action,
+			user_id: this.userId,
+			symbol: order.symbol,
+			data: [omit(order, INTERNAL_KEYS)],
+			time: moment().unix()
+		});
+	}
+
+	emitWallet() {
+		this.getBalance().then((data) => {
+			this.emit('wallet', {
+				topic: 'wallet',
+				action: 'partial',
+				user_id: this.userId,
+				data,
+				time: moment().unix()
+			});
+		});
+	}
+}
+
+module.exports = {
+	PaperAccount
+};
@@ -0,0 +1,286 @@
+'use strict';
+
+const EventEmitter = require('events');
+const { isNumber } = require('lodash');
+const { ValidationError } = require('./errors');
+const { toNumbers } = require('./decimals');
+const { round, toArray } = require('./utils');
+
+const COST_METHODS = ['fifo', 'lifo', 'average'];
+
+const getTradeKey = (trade) => [trade.order_id, trade.timestamp, trade.side, trade.size, trade.price].join('|');
+
+class Portfolio extends EventEmitter {
+	/**
+	 * Positions and PnL per symbol computed from the user's trades
+	 * @param {object} client - The HollaExKit client
+	 * @param {object} opts - Optional parameters
+	 * @param {string} opts.method - How closed size is matched against open lots. Enum: ['fifo', 'lifo', 'average']. Default: 'fifo'
+	 * @param {string} opts.symbol - Only track trades of this currency pair symbol e.g. 'xht-usdt'
+	 * @param {string} opts.startDate - Ignore trades before this date in ISO8601 format
+	 * @param {string} opts.priceSource - Prices used for unrealized PnL. Enum: ['tickers', 'oracle']. Default: 'tickers'
+	 */
+	constructor(client, opts = { method: 'fifo', symbol: null, startDate: null, priceSource: 'tickers' }) {
+		super();
+
+		if (opts.method && !COST_METHODS.includes(opts.method)) {
+			throw new ValidationError(`method must be one of ${COST_METHODS.join(', ')}`);
+		}
+
+		this.client = client;
+		this.method = opts.method || 'fifo';
+		this.symbol = opts.symbol || null;
+		this.startDate = opts.startDate || null;
+		this.priceSource = opts.priceSource || 'tickers';
+		this.positions = {};
+		// Occurrences of each trade of the history that the websocket has not repeated yet
+		this.unmatched = {};
+		this.held = null;
+		this.onUserTrade = (message) => {
+			// The partial repeats recent history that load already fetched
+			if (message.action !== 'partial') {
+				toArray(toNumbers(message.data)).forEach((trade) => this.receiveTrade(trade));
+			}
+		};
+	}
+
+	/**
+	 * Replay the trade history through REST and start following the usertrade topic
+	 * Websocket trades already in the history are skipped
+	 * @return {object} A promise resolving to the portfolio
+	 */
+	load() {
+		const filters = { order: 'asc', orderBy: 'timestamp' };
+		if (this.symbol) {
+			filters.symbol = this.symbol;
+		}
+		if (this.startDate) {
+			filters.startDate = this.startDate;
+		}
+
+		this.client.removeListener('usertrade', this.onUserTrade);
+		this.client.on('usertrade', this.onUserTrade);
+		this.held = [];
+
+		return this.client.paginate('getUserTrades', filters).all().then((trades) => {
+			this.positions = {};
+			this.unmatched = {};
+			toNumbers(trades)
+				.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+				.forEach((trade) => {
+					const key = getTradeKey(trade);
+					this.unmatched[key] = (this.unmatched[key] || 0) + 1;
+					this.addTrade(trade, { silent: true });
+				});
+			this.releaseHeld();
+			return this;
+		}, (err) => {
+			this.releaseHeld();
+			throw err;
+		});
+	}
+
+	receiveTrade(trade) {
+		// Trades received while the history loads may be part of it
+		if (this.held) {
+			this.held.push(trade);
+			return;
+		}
+		// Each trade of the history is skipped once, so identical fills the history does not hold still count
+		const key = getTradeKey(trade);
+		if (this.unmatched[key] > 0) {
+			this.unmatched[key]--;
+			return;
+		}
+		this.addTrade(trade);
+	}
+
+	releaseHeld() {
+		const held = this.held || [];
+		this.held = null;
+		held.forEach((trade) => this.receiveTrade(trade));
+	}
+
+	/**
+	 * Stop following the usertrade topic
+	 */
+	stop() {
+		this.client.removeListener('usertrade', this.onUserTrade);
+	}
+
+	/**
+	 * Apply a trade to the position of its symbol
+	 * @param {object} trade - A user trade with keys side, symbol, size, price, timestamp, fee and fee_coin
+	 * @param {object} opts - Optional parameters
+	 * @param {boolean} opts.silent - Do not emit the update event
+	 */
+	addTrade(trade, opts = { silent: false }) {
+		if (this.symbol && trade.symbol !== this.symbol) {
+			return;
+		}
+
+		const [base, quote] = trade.symbol.split('-');
+		const position = this.positions[trade.symbol] || (this.positions[trade.symbol] = {
+			symbol: trade.symbol,
+			base,
+			quote,
+			lots: [],
+			realizedPnl: 0,
+			fees: 0,
+			trades: 0,
+			markPrice: null
+		});
+
+		// Fees are folded into the effective price so every PnL figure is net of fees
+		const fee = trade.fee || 0;
+		const feeCoin = trade.fee_coin || (trade.side === 'buy' ? base : quote);
+		const direction = trade.side === 'buy' ? 1 : -1;
+		let size = trade.size;
+		let value = trade.size * trade.price;
+
+		if (feeCoin === base) {
+			size = trade.side === 'buy' ? trade.size - fee : trade.size + fee;
+			position.fees = round(position.fees + fee * trade.price);
+		} else {
+			value = trade.side === 'buy' ? value + fee : value - fee;
+			position.fees = round(position.fees + fee);
+		}
+
+		this.fill(position, direction, size, value / size);
+		position.trades++;
+
+		if (!opts.silent) {
+			this.emit('update', this.getPosition(trade.symbol));
+		}
+	}
+
+	fill(position, direction, size, price) {
+		let remaining = size;
+
+		while (remaining > 0 && position.lots.length > 0 && position.lots[0].direction !== direction) {
+			const index = this.method === 'lifo' ? position.lots.length - 1 : 0;
+			const lot = position.lots[index];
+			const closed = Math.min(lot.size, remaining);
+
+			position.realizedPnl = round(position.realizedPnl + (price - lot.price) * closed * lot.direction);
+			lot.size = round(lot.size - closed);
+			remaining = round(remaining - closed);
+
+			if (lot.size <= 0) {
+				position.lots.splice(index, 1);
+			}
+		}
+
+		if (remaining <= 0) {
+			return;
+		}
+
+		if (this.method === 'average' && position.lots.length > 0) {
+			const lot = position.lots[0];
+			lot.price = (lot.price * lot.size + price * remaining) / (lot.size + remaining);
+			lot.size = round(lot.size + remaining);
+		} else {
+			position.lots.push({ direction, size: remaining, price });
+		}
+	}
+
+	/**
+	 * Fetch the current prices and update the unrealized PnL of every position
+	 * @return {object} A promise resolving to the positions as returned by getPositions
+	 */
+	mark() {
+		const symbols = Object.keys(this.positions);
+
+		if (this.priceSource === 'oracle') {
+			const quotes = {};
+			symbols.forEach((symbol) => {
+				const { base, quote } = this.positions[symbol];
+				quotes[quote] = [...(quotes[quote] || []), base];
+			});
+			return Promise.all(Object.keys(quotes).map((quote) => {
+				return this.client.getOraclePrice(quotes[quote], { quote }).then((prices) => {
+					symbols
+						.filter((symbol) => this.positions[symbol].quote === quote)
+						.forEach((symbol) => this.setMarkPrice(symbol, prices[this.positions[symbol].base]));
+				});
+			})).then(() => this.getPositions());
+		}
+
+		return this.client.getTickers().then((tickers) => {
+			symbols.forEach((symbol) => {
+				const ticker = tickers[symbol];
+				if (ticker) {
+					this.setMarkPrice(symbol, ticker.last || ticker.close);
+				}
+			});
+			return this.getPositions();
+		});
+	}
+
+	setMarkPrice(symbol, price) {
+		if (this.positions[symbol] && isNumber(price)) {
+			this.positions[symbol].markPrice = price;
+		}
+	}
+
+	/**
+	 * @param {string} symbol - The currency pair symbol e.g. 'xht-usdt'
+	 * @return {object} A JSON object with keys symbol, base, quote, size (negative when short), averagePrice, realizedPnl, unrealizedPnl, markPrice, fees and trades. Null if the symbol was never traded
+	 */
+	getPosition(symbol) {
+		const position = this.positions[symbol];
+		if (!position) {
+			return null;
+		}
+
+		const size = round(position.lots.reduce((total, lot) => total + lot.size * lot.direction, 0));
+		const cost = position.lots.reduce((total, lot) => total + lot.size * lot.price, 0);
+		const open = Math.abs(size);
+		const averagePrice = open > 0 ? round(cost / open) : null;
+		const unrealizedPnl = position.markPrice !== null && open > 0
+			? round(position.lots.reduce((total, lot) => {
+				return total + (position.markPrice - lot.price) * lot.size * lot.direction;
+			}, 0))
+			: 0;
+
+		return {
+			symbol: position.symbol,
+			base: position.base,
+			quote: position.quote,
+			size,
+			averagePrice,
+			realizedPnl: position.realizedPnl,
+			unrealizedPnl,
+			markPrice: position.markPrice,
+			fees: position.fees,
+			trades: position.trades
+		};
+	}
+
+	/**
+	 * @return {array} The position of every traded symbol
+	 */
+	getPositions() {
+		return Object.keys(this.positions).map((symbol) => this.getPosition(symbol));
+	}
+
+	/**
+	 * @return {object} Realized, unrealized and total PnL summed per quote currency e.g. { usdt: { realizedPnl, unrealizedPnl, totalPnl } }
+	 */
+	getPnl() {
+		const pnl = {};
+		this.getPositions().forEach((position) => {
+			const total = pnl[position.quote] || { realizedPnl: 0, unrealizedPnl: 0, totalPnl: 0 };
+			total.realizedPnl = round(total.realizedPnl + position.realizedPnl);
+			total.unrealizedPnl = round(total.unrealizedPnl + position.unrealizedPnl);
+			total.totalPnl = round(total.realizedPnl + total.unrealizedPnl);
+			pnl[position.quote] = total;
+		});
+		return pnl;
+	}
+}
+
+module.exports = {
+	COST_METHODS,
+	Portfolio
+};
@@ -0,0 +1,189 @@
+'use strict';
+
+const { isPlainObject } = require('lodash');
+
+const DEFAULT_RATE_LIMITS = {
+	public: { limit: 10, interval: 1000 },
+	private: { limit: 5, interval: 1000 },
+	admin: { limit: 5, interval: 1000 }
+};
+
+class TokenBucket {
+	/**
+	 * Token bucket that queues callers until a token is available
+	 * @param {object} opts - Bucket options
+	 * @param {number} opts.limit - Number of requests allowed per interval. Also the burst size
+	 * @param {number} opts.interval - Length of the interval in milliseconds
+	 */
+	constructor(opts = { limit: 10, interval: 1000 }) {
+		this.limit = opts.limit;
+		this.interval = opts.interval;
+		this.tokens = opts.limit;
+		this.lastRefill = Date.now();
+		this.pausedUntil = 0;
+		this.queue = [];
+		this.timer = null;
+	}
+
+	/**
+	 * Number of calls waiting for a token
+	 */
+	get queueDepth() {
+		return this.queue.length;
+	}
+
+	/**
+	 * Estimated time in milliseconds a new call would wait for a token
+	 */
+	get waitTime() {
+		this.refill();
+		const now = Date.now();
+		const pause = Math.max(this.pausedUntil - now, 0);
+		const missing = this.queue.length + 1 - this.tokens;
+
+		if (missing <= 0) {
+			return pause;
+		}
+
+		return pause + Math.ceil(missing * (this.interval / this.limit));
+	}
+
+	/**
+	 * Wait for a token
+	 * @return {object} A promise resolving once the caller may send its request
+	 */
+	acquire() {
+		return new Promise((resolve) => {
+			this.queue.push({ resolve, queuedAt: Date.now() });
+			this.drain();
+		});
+	}
+
+	/**
+	 * Stop handing out tokens until the given time
+	 * @param {number} until - Timestamp in milliseconds
+	 */
+	pause(until) {
+		if (until > this.pausedUntil) {
+			this.pausedUntil = until;
+			this.tokens = 0;
+			this.schedule(until - Date.now());
+		}
+	}
+
+	refill() {
+		const now = Date.now();
+		const elapsed = now - this.lastRefill;
+		this.tokens = Math.min(this.limit, this.tokens + elapsed * (this.limit / this.interval));
+		this.lastRefill = now;
+	}
+
+	drain() {
+		this.refill();
+		const now = Date.now();
+
+		if (this.pausedUntil > now) {
+			this.schedule(this.pausedUntil - now);
+			return;
+		}
+
+		while (this.queue.length > 0 && this.tokens >= 1) {
+			this.tokens -= 1;
+			this.queue.shift().resolve();
+		}
+
+		if (this.queue.length > 0) {
+			this.schedule(Math.ceil((1 - this.tokens) * (this.interval / this.limit)));
+		}
+	}
+
+	schedule(delay) {
+		if (this.timer) {
+			return;
+		}
+		this.timer = setTimeout(() => {
+			this.timer = null;
+			this.drain();
+		}, Math.max(delay, 0));
+	}
+}
+
+const getHeader = (headers = {}, names = []) => {
+	for (let name of names) {
+		if (headers[name] !== undefined && headers[name] !== null) {
+			return Number(headers[name]);
+		}
+	}
+	return NaN;
+};
+
+class RateLimiter {
+	/**
+	 * Client-side rate limiter with separate budgets for public, private and admin endpoints
+	 * @param {object} opts - Budgets per endpoint type
+	 * @param {object} opts.public - Budget for public endpoints e.g. { limit: 10, interval: 1000 }
+	 * @param {object} opts.private - Budget for private endpoints e.g. { limit: 5, interval: 1000 }
+	 * @param {object} opts.admin - Budget for admin endpoints e.g. { limit: 5, interval: 1000 }
+	 */
+	constructor(opts = {}) {
+		this.buckets = {};
+		Object.keys(DEFAULT_RATE_LIMITS).forEach((type) => {
+			this.buckets[type] = new TokenBucket({
+				...DEFAULT_RATE_LIMITS[type],
+				...(isPlainObject(opts[type]) ? opts[type] : {})
+			});
+		});
+	}
+
+	/**
+	 * Wait for a token from the budget of the given endpoint type
+	 * @param {string} type - Endpoint type. Enum: ['public', 'private', 'admin']
+	 * @return {object} A promise resolving once the request may be sent
+	 */
+	acquire(type) {
+		return this.buckets[type].acquire();
+	}
+
+	/**
+	 * Pause the budget of the given endpoint type using the rate limit headers of a response
+	 * @param {string} type - Endpoint type. Enum: ['public', 'private', 'admin']
+	 * @param {object} response - Response with statusCode and headers
+	 */
+	update(type, response = {}) {
+		const headers = response.headers || {};
+		const remaining = getHeader(headers, ['ratelimit-remaining', 'x-ratelimit-remaining']);
+		let reset = getHeader(headers, ['ratelimit-reset', 'x-ratelimit-reset', 'retry-after']);
+
+		if (isNaN(reset)) {
+			return;
+		}
+
+		// x-ratelimit-reset may be an epoch in seconds rather than seconds from now
+		reset = reset > 1000000000 ? reset * 1000 : Date.now() + reset * 1000;
+
+		if (response.statusCode === 429 || remaining === 0) {
+			this.buckets[type].pause(reset);
+		}
+	}
+
+	/**
+	 * Current queue depth and estimated wait time of every budget
+	 * @return {object} A JSON object with the keys public, private and admin, each with queueDepth(number) and waitTime(number)
+	 */
+	getStatus() {
+		const status = {};
+		Object.keys(this.buckets).forEach((type) => {
+			status[type] = {
+				queueDepth: this.buckets[type].queueDepth,
+				waitTime: this.buckets[type].waitTime
+			};
+		});
+		return status;
+	}
+}
+
+module.exports = {
+	DEFAULT_RATE_LIMITS,
+	TokenBucket,
+	RateLimiter
+};
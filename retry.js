@@ -0,0 +1,218 @@
+'use strict';
+
+const { isArray, isNumber, isPlainObject } = require('lodash');
+const { NetworkError } = require('./errors');
+const { sleep } = require('./utils');
+
+const DEFAULT_RETRY_POLICY = {
+	maxAttempts: 3,
+	baseDelay: 500,
+	maxDelay: 10000,
+	jitter: 0.5,
+	methods: ['GET'],
+	orders: false,
+	statusCodes: [408, 429, 500, 502, 503, 504],
+	errorCodes: ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN'],
+	respectRetryAfter: true
+};
+
+// Methods that can be sent again without knowing whether the failed attempt was processed
+const IDEMPOTENT_METHODS = ['GET', 'DELETE'];
+
+const AMBIGUOUS_STATUS_CODES = [408, 500, 502, 503, 504];
+
+const DEFAULT_RECONNECT_POLICY = {
+	initialDelay: 1000,
+	multiplier: 2,
+	maxDelay: 60000,
+	jitter: 0.5,
+	maxAttempts: Infinity,
+	onGiveUp: null
+};
+
+/**
+ * Build a retry policy from the constructor options
+ * @param {object|boolean} opts - Retry options, pass false to disable retries
+ * @param {number} opts.maxAttempts - Maximum number of attempts including the first one. Default: 3
+ * @param {number} opts.baseDelay - Delay in milliseconds before the first retry, doubled on each attempt. Default: 500
+ * @param {number} opts.maxDelay - Maximum delay in milliseconds between attempts. Default: 10000
+ * @param {number} opts.jitter - Fraction of the delay to randomize between 0 and 1. Default: 0.5
+ * @param {array} opts.methods - HTTP methods to retry. Methods other than GET and DELETE are only retried for requests marked idempotent. Default: ['GET']
+ * @param {boolean} opts.orders - Retry createOrder once a lookup by client order id confirms the failed attempt did not create the order. Default: false
+ * @param {array} opts.statusCodes - HTTP status codes to retry. Default: [408, 429, 500, 502, 503, 504]
+ * @param {array} opts.errorCodes - Network error codes to retry. Default: ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN']
+ * @param {boolean} opts.respectRetryAfter - Wait for the Retry-After response header when present. Default: true
+ * @return {object} The retry policy
+ */
+const createRetryPolicy = (opts = {}) => {
+	if (opts === false) {
+		return { ...DEFAULT_RETRY_POLICY, maxAttempts: 1 };
+	}
+
+	const policy = { ...DEFAULT_RETRY_POLICY, ...(isPlainObject(opts) ? opts : {}) };
+	policy.methods = policy.methods.map((method) => method.toUpperCase());
+	return policy;
+};
+
+const isRetryable = (policy, verb, error, idempotent) => {
+	const method = verb.toUpperCase();
+
+	if (!policy.methods.includes(method) || (!idempotent && !IDEMPOTENT_METHODS.includes(method))) {
+		return false;
+	}
+
+	if (isNumber(error.status)) {
+		return policy.statusCodes.includes(error.status);
+	}
+
+	return isArray(policy.errorCodes) && policy.errorCodes.includes(error.code);
+};
+
+const getRetryAfter = (error) => {
+	const headers = (error.response && error.response.headers) || {};
+	const value = headers['retry-after'];
+
+	if (value === undefined || value === null) {
+		return null;
+	}
+
+	const seconds = Number(value);
+	if (!isNaN(seconds)) {
+		return Math.max(seconds * 1000, 0);
+	}
+
+	const date = Date.parse(value);
+	return isNaN(date) ? null : Math.max(date - Date.now(), 0);
+};
+
+/**
+ * Calculate an exponential backoff delay with jitter
+ * @param {number} attempt - The attempt number, starting at 1
+ * @param {object} opts - Backoff options
+ * @param {number} opts.initialDelay - Delay of the first attempt in milliseconds
+ * @param {number} opts.multiplier - Factor applied to the delay on each attempt
+ * @param {number} opts.maxDelay - Maximum delay in milliseconds
+ * @param {number} opts.jitter - Fraction of the delay to randomize between 0 and 1
+ * @return {number} Delay in milliseconds
+ */
+const getBackoffDelay = (attempt, opts) => {
+	const delay = Math.min(opts.initialDelay * Math.pow(opts.multiplier, attempt - 1), opts.maxDelay);
+	return delay - delay * opts.jitter * Math.random();
+};
+
+/**
+ * Calculate the delay before the next attempt
+ * @param {object} policy - The retry policy
+ * @param {number} attempt - The attempt that just failed, starting at 1
+ * @param {object} error - The error of the failed attempt
+ * @return {number} Delay in milliseconds
+ */
+const getRetryDelay = (policy, attempt, error) => {
+	const retryAfter = policy.respectRetryAfter ? getRetryAfter(error) : null;
+
+	if (retryAfter !== null) {
+		return Math.min(retryAfter, policy.maxDelay);
+	}
+
+	return getBackoffDelay(attempt, {
+		initialDelay: policy.baseDelay,
+		multiplier: 2,
+		maxDelay: policy.maxDelay,
+		jitter: policy.jitter
+	});
+};
+
+/**
+ * Build a websocket reconnect policy from the constructor options
+ * @param {object|boolean} opts - Reconnect options, pass false to never reconnect
+ * @param {number} opts.initialDelay - Delay in milliseconds before the first reconnect attempt. Default: 1000
+ * @param {number} opts.multiplier - Factor applied to the delay on each attempt. Default: 2
+ * @param {number} opts.maxDelay - Maximum delay in milliseconds between attempts. Default: 60000
+ * @param {number} opts.jitter - Fraction of the delay to randomize between 0 and 1. Default: 0.5
+ * @param {number} opts.maxAttempts - Attempts before giving up. Default: Infinity
+ * @param {function} opts.onGiveUp - Called with the number of attempts when the client gives up
+ * @return {object} The reconnect policy
+ */
+const createReconnectPolicy = (opts = {}) => {
+	if (opts === false) {
+		return { ...DEFAULT_RECONNECT_POLICY, maxAttempts: 0 };
+	}
+	return { ...DEFAULT_RECONNECT_POLICY, ...(isPlainObject(opts) ? opts : {}) };
+};
+
+/**
+ * Run a request and retry it according to the retry policy
+ * @param {object} policy - The retry policy
+ * @param {string} verb - The HTTP method of the request
+ * @param {function} send - Function receiving the attempt number and returning the request promise
+ * @param {object} opts - Optional parameters
+ * @param {boolean} opts.idempotent - Whether the request is safe to send twice regardless of its method
+ * @return {object} A promise resolving to the result of the first successful attempt
+ */
+const retryRequest = (policy, verb, send, opts = { idempotent: false }) => {
+	const attempt = (count) => {
+		return send(count).catch((error) => {
+			if (count >= policy.maxAttempts || !isRetryable(policy, verb, error, opts.idempotent)) {
+				throw error;
+			}
+
+			return sleep(getRetryDelay(policy, count, error)).then(() => attempt(count + 1));
+		});
+	};
+
+	return attempt(1);
+};
+
+/**
+ * Whether a failed request may still have been processed by the exchange
+ * @param {object} error - The error of the failed request
+ * @return {boolean} True for network errors and timeout or server error responses
+ */
+const isAmbiguous = (error) => {
+	if (isNumber(error.status)) {
+		return AMBIGUOUS_STATUS_CODES.includes(error.status);
+	}
+	return error instanceof NetworkError;
+};
+
+/**
+ * Run a non idempotent request and only retry it once a lookup confirms it did not go through
+ * @param {object} policy - The retry policy, the request is retried only if its orders option is enabled
+ * @param {function} send - Function receiving the attempt number and returning the request promise
+ * @param {function} lookup - Function returning a promise of the existing result, or null if the request was not processed
+ * @return {object} A promise resolving to the result of the first successful attempt or of the lookup
+ */
+const retryIdempotent = (policy, send, lookup) => {
+	const attempt = (count) => {
+		return send(count).catch((error) => {
+			if (count >= policy.maxAttempts || !policy.orders || !isAmbiguous(error)) {
+				throw error;
+			}
+
+			return lookup()
+				.catch(() => {
+					throw error;
+				})
+				.then((existing) => {
+					if (existing) {
+						return existing;
+					}
+					return sleep(getRetryDelay(policy, count, error)).then(() => attempt(count + 1));
+				});
+		});
+	};
+
+	return attempt(1);
+};
+
+module.exports = {
+	DEFAULT_RETRY_POLICY,
+	DEFAULT_RECONNECT_POLICY,
+	createRetryPolicy,
+	createReconnectPolicy,
+	getBackoffDelay,
+	getRetryDelay,
+	retryRequest,
+	isAmbiguous,
+	retryIdempotent
+};
@@ -0,0 +1,194 @@
+'use strict';
+
+const moment = require('moment');
+const { isNumber, isPlainObject } = require('lodash');
+const { RiskLimitError } = require('./errors');
+const { mapSettled, round } = require('./utils');
+const { toNumbers } = require('./decimals');
+
+// A limit is either one number for everything or an object keyed by symbol or currency
+const getLimit = (limit, key) => {
+	if (isNumber(limit)) {
+		return limit;
+	}
+	if (isPlainObject(limit) && isNumber(limit[key])) {
+		return limit[key];
+	}
+	return null;
+};
+
+class RiskManager {
+	/**
+	 * Pre-trade checks applied to createOrder and makeWithdrawal
+	 * @param {object} client - The HollaExKit client
+	 * @param {object} limits - Optional limits, each one a number or an object keyed by symbol or currency
+	 * @param {number|object} limits.maxNotional - Maximum size * price of an order in the quote currency, keyed by symbol
+	 * @param {number|object} limits.maxOpenOrders - Maximum number of open orders per symbol, keyed by symbol
+	 * @param {number|object} limits.maxPosition - Maximum balance of the base currency after a buy order fills, keyed by currency
+	 * @param {number|object} limits.priceBand - Maximum distance of a limit price from the last ticker price as a fraction e.g. 0.05, keyed by symbol
+	 * @param {number|object} limits.dailyWithdrawal - Maximum amount withdrawn per UTC day, keyed by currency
+	 */
+	constructor(client, limits = {}) {
+		this.client = client;
+		this.limits = isPlainObject(limits) ? limits : {};
+		this.halted = false;
+		this.locks = {};
+	}
+
+	/**
+	 * Check an order and place it, one order at a time per symbol and asset with a limit depending on what is already placed
+	 * @param {function} place - Function returning a promise of the placed order once the order is allowed
+	 * @return {object} A promise resolving to the placed order, rejecting with a RiskLimitError if a limit is hit
+	 */
+	guardOrder(symbol, side, size, type, price, place) {
+		const [base] = symbol.split('-');
+		const keys = [];
+		if (getLimit(this.limits.maxOpenOrders, symbol) !== null) {
+			keys.push(`orders:${symbol}`);
+		}
+		if (side === 'buy' && getLimit(this.limits.maxPosition, base) !== null) {
+			keys.push(`position:${base}`);
+		}
+		return this.lock(keys, () => this.checkOrder(symbol, side, size, type, price).then(place));
+	}
+
+	/**
+	 * Check a withdrawal and send it, one withdrawal at a time per currency with a daily cap
+	 * @param {function} send - Function returning a promise of the withdrawal once it is allowed
+	 * @return {object} A promise resolving to the withdrawal, rejecting with a RiskLimitError if the cap is hit
+	 */
+	guardWithdrawal(currency, amount, send) {
+		const keys = getLimit(this.limits.dailyWithdrawal, currency) !== null ? [`withdrawal:${currency}`] : [];
+		return this.lock(keys, () => this.checkWithdrawal(currency, amount).then(send));
+	}
+
+	// Runs fn once the previous holders of the keys settled, so a check never misses a request still in flight
+	lock(keys, fn) {
+		const previous = Promise.all(keys.map((key) => this.locks[key]));
+		const result = previous.then(() => fn());
+		const released = result.catch(() => {});
+		keys.forEach((key) => {
+			this.locks[key] = released;
+		});
+		return result;
+	}
+
+	/**
+	 * Check an order against the limits
+	 * @return {object} A promise resolving when the order is allowed, rejecting with a RiskLimitError otherwise
+	 */
+	checkOrder(symbol, side, size, type, price) {
+		if (this.halted) {
+			return Promise.reject(new RiskLimitError('New orders are blocked by the kill switch', { limit: 'killSwitch' }));
+		}
+
+		const [base] = symbol.split('-');
+		const maxNotional = getLimit(this.limits.maxNotional, symbol);
+		const maxOpenOrders = getLimit(this.limits.maxOpenOrders, symbol);
+		const maxPosition = side === 'buy' ? getLimit(this.limits.maxPosition, base) : null;
+		const priceBand = type === 'limit' ? getLimit(this.limits.priceBand, symbol) : null;
+		const needsTicker = priceBand !== null || (maxNotional !== null && type === 'market');
+
+		return Promise.all([
+			needsTicker ? this.client.getTicker(symbol) : null,
+			maxOpenOrders !== null ? this.client.getOrders({ symbol, open: true, limit: 1 }) : null,
+			maxPosition !== null ? this.client.getBalance().then(toNumbers) : null
+		]).then(([ticker, openOrders, balance]) => {
+			const last = ticker ? ticker.last || ticker.close : null;
+
+			if (maxNotional !== null) {
+				const notional = round(size * (type === 'market' ? last : price));
+				if (notional > maxNotional) {
+					throw new RiskLimitError(
+						`Order notional ${notional} exceeds the limit of ${maxNotional} for ${symbol}`,
+						{ limit: 'maxNotional', value: notional, threshold: maxNotional }
+					);
+				}
+			}
+
+			if (maxOpenOrders !== null && openOrders.count >= maxOpenOrders) {
+				throw new RiskLimitError(
+					`${symbol} already has ${openOrders.count} open orders, the limit is ${maxOpenOrders}`,
+					{ limit: 'maxOpenOrders', value: openOrders.count + 1, threshold: maxOpenOrders }
+				);
+			}
+
+			if (maxPosition !== null) {
+				const position = round((balance[`${base}_balance`] || 0) + size);
+				if (position > maxPosition) {
+					throw new RiskLimitError(
+						`Position of ${position} ${base} would exceed the limit of ${maxPosition}`,
+						{ limit: 'maxPosition', value: position, threshold: maxPosition }
+					);
+				}
+			}
+
+			if (priceBand !== null) {
+				const distance = round(Math.abs(price - last) / last);
+				if (distance > priceBand) {
+					throw new RiskLimitError(
+						`Price ${price} is ${round(distance * 100)}% away from the last price ${last}, the band is ${priceBand * 100}%`,
+						{ limit: 'priceBand', value: distance, threshold: priceBand }
+					);
+				}
+			}
+		});
+	}
+
+	/**
+	 * Check a withdrawal against the daily cap, counting every withdrawal made since 00:00 UTC
+	 * @return {object} A promise resolving when the withdrawal is allowed, rejecting with a RiskLimitError otherwise
+	 */
+	checkWithdrawal(currency, amount) {
+		const dailyWithdrawal = getLimit(this.limits.dailyWithdrawal, currency);
+
+		if (dailyWithdrawal === null) {
+			return Promise.resolve();
+		}
+
+		const filters = { currency, startDate: moment.utc().startOf('day').toISOString() };
+		return this.client.paginate('getWithdrawals', filters).all().then((withdrawals) => {
+			const withdrawn = withdrawals
+				.filter((withdrawal) => !withdrawal.dismissed && !withdrawal.rejected)
+				.reduce((total, withdrawal) => total + withdrawal.amount, 0);
+			const total = round(withdrawn + amount);
+
+			if (total > dailyWithdrawal) {
+				throw new RiskLimitError(
+					`Withdrawing ${amount} ${currency} would bring today's total to ${total}, the limit is ${dailyWithdrawal}`,
+					{ limit: 'dailyWithdrawal', value: total, threshold: dailyWithdrawal }
+				);
+			}
+		});
+	}
+
+	/**
+	 * Block new orders and cancel the open orders of every symbol listed in getConstants
+	 * @return {object} A promise resolving to an array of { symbol, success, orders, error }
+	 */
+	killSwitch() {
+		this.halted = true;
+
+		return this.client.getConstants().then((constants) => {
+			const symbols = Object.keys(constants.pairs || {});
+			return mapSettled(symbols, 5, (symbol) => this.client.cancelAllOrders(symbol))
+				.then((results) => results.map(({ success, value, error }, index) => ({
+					symbol: symbols[index],
+					success,
+					orders: success ? value : null,
+					error: success ? null : error
+				})));
+		});
+	}
+
+	/**
+	 * Allow new orders again after the kill switch
+	 */
+	reset() {
+		this.halted = false;
+	}
+}
+
+module.exports = {
+	RiskManager
+};
@@ -0,0 +1,121 @@
+'use strict';
+
+const { HollaExError } = require('./errors');
+
+const OVERFLOW_POLICIES = ['dropOldest', 'dropNewest', 'error'];
+
+class TopicStream {
+	/**
+	 * Async iterator over the messages of a websocket topic
+	 * @param {object} client - The HollaExKit client
+	 * @param {string} event - The event e.g. 'trade:xht-usdt', 'order'
+	 * @param {object} opts - Optional parameters
+	 * @param {number} opts.bufferSize - Maximum number of messages waiting to be consumed. Default: 1000
+	 * @param {string} opts.overflow - What to do when the buffer is full. Enum: ['dropOldest', 'dropNewest', 'error']. Default: 'dropOldest'
+	 */
+	constructor(client, event, opts = { bufferSize: 1000, overflow: 'dropOldest' }) {
+		const [topic, symbol] = event.split(':');
+
+		if (opts.overflow && !OVERFLOW_POLICIES.includes(opts.overflow)) {
+			throw new Error(`overflow must be one of ${OVERFLOW_POLICIES.join(', ')}`);
+		}
+
+		this.client = client;
+		this.event = event;
+		this.topic = topic;
+		this.symbol = symbol || null;
+		this.bufferSize = opts.bufferSize || 1000;
+		this.overflow = opts.overflow || 'dropOldest';
+		this.buffer = [];
+		this.waiting = [];
+		this.error = null;
+		this.done = false;
+		this.dropped = 0;
+		this.onMessage = (message) => this.push(message);
+		this.onClose = () => this.return();
+		this.client.on(this.topic, this.onMessage);
+		this.client.on('close', this.onClose);
+	}
+
+	[Symbol.asyncIterator]() {
+		return this;
+	}
+
+	push(message) {
+		if (this.done || (this.symbol && message.symbol !== this.symbol)) {
+			return;
+		}
+
+		if (this.waiting.length > 0) {
+			this.waiting.shift().resolve({ value: message, done: false });
+			return;
+		}
+
+		if (this.buffer.length >= this.bufferSize) {
+			this.dropped++;
+			if (this.overflow === 'dropNewest') {
+				return;
+			}
+			if (this.overflow === 'error') {
+				this.fail(new HollaExError(`Stream buffer of ${this.event} overflowed after ${this.bufferSize} messages`));
+				return;
+			}
+			this.buffer.shift();
+		}
+
+		this.buffer.push(message);
+	}
+
+	/**
+	 * End the stream with an error once the buffered messages are consumed
+	 * @param {object} err - The error to throw from the iterator
+	 */
+	fail(err) {
+		this.error = err;
+		this.close();
+		this.waiting.forEach(({ reject }) => reject(err));
+		this.waiting = [];
+	}
+
+	next() {
+		if (this.buffer.length > 0) {
+			return Promise.resolve({ value: this.buffer.shift(), done: false });
+		}
+
+		if (this.error) {
+			const err = this.error;
+			this.error = null;
+			return Promise.reject(err);
+		}
+
+		if (this.done) {
+			return Promise.resolve({ value: undefined, done: true });
+		}
+
+		return new Promise((resolve, reject) => {
+			this.waiting.push({ resolve, reject });
+		});
+	}
+
+	return() {
+		this.buffer = [];
+		this.close();
+		this.waiting.forEach(({ resolve }) => resolve({ value: undefined, done: true }));
+		this.waiting = [];
+		return Promise.resolve({ value: undefined, done: true });
+	}
+
+	close() {
+		if (!this.done) {
+			this.done = true;
+			this.client.removeListener(this.topic, this.onMessage);
+			this.client.removeListener('close', this.onClose);
+			this.client.releaseStream(this.event);
+		}
+	}
+}
+
+module.exports = {
+	OVERFLOW_POLICIES,
+	TopicStream
+};
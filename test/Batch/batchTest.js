@@ -0,0 +1,86 @@
+const { expect } = require('chai');
+const HollaEx = require('../../index');
+const { createFakeTransport, respond } = require('../helpers');
+
+const createTransport = (delay) => {
+	const stats = { inFlight: 0, maxInFlight: 0 };
+	const transport = createFakeTransport((req, url) => {
+		stats.inFlight++;
+		stats.maxInFlight = Math.max(stats.maxInFlight, stats.inFlight);
+		return new Promise((resolve) => setTimeout(resolve, delay)).then(() => {
+			stats.inFlight--;
+			if (req.method === 'POST') {
+				const data = JSON.parse(req.body);
+				if (data.size > 100) {
+					return respond({ message: 'Insufficient balance' }, 400);
+				}
+				return respond({ ...data, id: `id-${data.price}` });
+			}
+			const orderId = url.searchParams.get('order_id');
+			if (orderId === 'missing') {
+				return respond({ message: 'Order not found' }, 404);
+			}
+			return respond({ id: orderId, status: 'canceled' });
+		});
+	});
+	return { ...transport, stats };
+};
+
+describe('Batch orders', () => {
+	it('Create orders with bounded concurrency and per-item results', async () => {
+		const transport = createTransport(5);
+		const client = new HollaEx({ transport });
+		const ladder = Array.from({ length: 10 }, (value, index) => ({
+			symbol: 'xht-usdt',
+			side: 'buy',
+			size: index === 3 ? 1000 : 10,
+			type: 'limit',
+			price: 1 + index / 100
+		}));
+		const results = await client.createOrders(ladder, { concurrency: 3 });
+
+		expect(transport.stats.maxInFlight).to.equal(3);
+		expect(results.length).to.equal(10);
+		expect(results.filter((result) => result.success).length).to.equal(9);
+		expect(results[0].order.id).to.equal('id-1');
+		expect(results[9].order.id).to.equal('id-1.09');
+		expect(results[3].success).to.equal(false);
+		expect(results[3].order).to.equal(null);
+		expect(results[3].params).to.equal(ladder[3]);
+		expect(results[3].error).to.be.instanceOf(HollaEx.InsufficientBalanceError);
+	});
+
+	it('Cancel selected orders and report the ones that failed', async () => {
+		const transport = createTransport(1);
+		const client = new HollaEx({ transport });
+		const results = await client.cancelOrders(['a', 'missing', 'b']);
+		expect(results.map((result) => result.success)).to.deep.equal([true, false, true]);
+		expect(results[1].orderId).to.equal('missing');
+		expect(results[1].error).to.be.instanceOf(HollaEx.OrderNotFoundError);
+		expect(results[2].order).to.deep.equal({ id: 'b', status: 'canceled' });
+	});
+
+	it('Share the client rate limiter', async () => {
+		const transport = createTransport(0);
+		const client = new HollaEx({
+			transport,
+			apiKey: 'key',
+			apiSecret: 'secret',
+			rateLimit: { private: { limit: 2, interval: 50 } }
+		});
+		const start = Date.now();
+		const results = await client.cancelOrders(['a', 'b', 'c', 'd'], { concurrency: 4 });
+		expect(results.every((result) => result.success)).to.equal(true);
+		expect(Date.now() - start).to.be.at.least(45);
+	});
+
+	it('Reject when the input is not an array', async () => {
+		const client = new HollaEx({ transport: createTransport(0) });
+		try {
+			await client.createOrders({});
+			expect.fail('should have rejected');
+		} catch (err) {
+			expect(err).to.be.instanceOf(HollaEx.ValidationError);
+		}
+	});
+});
@@ -0,0 +1,148 @@
+const { expect } = require('chai');
+const HollaEx = require('../../index');
+const { parseInterval, CandleAggregator } = require('../../candles');
+const { createFakeTransport, respond } = require('../helpers');
+
+const MINUTE = 60 * 1000;
+
+const at = (minutes, seconds = 0) => new Date(Date.UTC(2024, 0, 1, 0, minutes, seconds)).toISOString();
+
+const createTransport = (trades = []) => createFakeTransport((req, url) => {
+	if (url.pathname === '/v2/trades') {
+		return respond({ 'xht-usdt': trades });
+	}
+	return respond({});
+});
+
+const sendTrades = (client, action, data) => {
+	client.handleMessage(JSON.stringify({ topic: 'trade', action, symbol: 'xht-usdt', data }));
+};
+
+describe('Candles', () => {
+	it('Parse intervals', () => {
+		expect(parseInterval('30s')).to.equal(30 * 1000);
+		expect(parseInterval('5m')).to.equal(5 * MINUTE);
+		expect(parseInterval('1h')).to.equal(60 * MINUTE);
+		expect(parseInterval('1d')).to.equal(24 * 60 * MINUTE);
+		expect(parseInterval(2500)).to.equal(2500);
+		expect(() => parseInterval('5w')).to.throw(HollaEx.ValidationError);
+		expect(() => parseInterval('0m')).to.throw(HollaEx.ValidationError);
+		expect(() => parseInterval(-1)).to.throw(HollaEx.ValidationError);
+	});
+
+	it('Seed OHLCV bars from the recent trades', async () => {
+		const client = new HollaEx({
+			transport: createTransport([
+				{ price: 1.2, size: 2, side: 'sell', timestamp: at(0, 40) },
+				{ price: 1, size: 1, side: 'buy', timestamp: at(0, 10) },
+				{ price: 1.5, size: 0.5, side: 'buy', timestamp: at(0, 20) },
+				{ price: 1.1, size: 3, side: 'buy', timestamp: at(1, 5) }
+			])
+		});
+		const candles = await client.createCandleAggregator('xht-usdt', { interval: '1m', maxBars: 5 });
+		candles.stop();
+
+		// Flat bars fill the time up to now, trimmed to maxBars
+		const bars = candles.getBars();
+		expect(bars.length).to.equal(5);
+		expect(bars[4].time).to.be.below(Date.now());
+		expect(candles.getCurrentBar()).to.include({ open: 1.1, close: 1.1, volume: 0, trades: 0 });
+	});
+
+	it('Aggregate trades into OHLCV bars', async () => {
+		const client = new HollaEx({
+			transport: createTransport([
+				{ price: 1.2, size: 2, side: 'sell', timestamp: at(0, 40) },
+				{ price: 1, size: 1, side: 'buy', timestamp: at(0, 10) },
+				{ price: 1.5, size: 0.5, side: 'buy', timestamp: at(0, 20) },
+				{ price: 1.1, size: 3, side: 'buy', timestamp: at(1, 5) }
+			])
+		});
+		const candles = await client.createCandleAggregator('xht-usdt', { interval: '1m', fillGaps: false });
+		candles.stop();
+
+		const [first, second] = candles.getBars();
+		expect(first).to.deep.equal({
+			time: Date.parse(at(0)),
+			open: 1,
+			high: 1.5,
+			low: 1,
+			close: 1.2,
+			volume: 3.5,
+			trades: 3
+		});
+		expect(second).to.include({ time: Date.parse(at(1)), open: 1.1, close: 1.1, volume: 3, trades: 1 });
+		expect(candles.getCurrentBar()).to.equal(null);
+	});
+
+	it('Hold trades received while seeding and skip the ones already seeded', async () => {
+		const seeded = [
+			{ price: 1, size: 1, side: 'buy', timestamp: at(0, 10) },
+			{ price: 1.1, size: 3, side: 'buy', timestamp: at(1, 5) }
+		];
+		let answer;
+		const answered = new Promise((resolve) => {
+			answer = resolve;
+		});
+		const client = new HollaEx({
+			transport: createFakeTransport(() => answered.then(() => respond({ 'xht-usdt': seeded })))
+		});
+		const starting = client.createCandleAggregator('xht-usdt', { interval: '1m', fillGaps: false });
+		sendTrades(client, 'insert', [{ price: 1.3, size: 2, side: 'sell', timestamp: at(2, 1) }]);
+		sendTrades(client, 'insert', [seeded[1]]);
+		answer();
+		const candles = await starting;
+		candles.stop();
+
+		expect(candles.getBars().map((bar) => [bar.time, bar.volume, bar.trades])).to.deep.equal([
+			[Date.parse(at(0)), 1, 1],
+			[Date.parse(at(1)), 3, 1]
+		]);
+		expect(candles.getCurrentBar()).to.include({ time: Date.parse(at(2)), open: 1.3, volume: 2, trades: 1 });
+	});
+
+	it('Close bars and fill gaps as trades arrive', () => {
+		const client = new HollaEx({ transport: createTransport() });
+		const aggregator = new CandleAggregator(client, 'xht-usdt', { interval: '1m' });
+		const closed = [];
+		const updates = [];
+		aggregator.on('bar:closed', (bar) => closed.push(bar));
+		aggregator.on('bar:update', (bar) => updates.push(bar.close));
+		client.on('trade', aggregator.onTrade);
+
+		sendTrades(client, 'partial', [{ price: 9, size: 1, timestamp: at(0, 1) }]);
+		sendTrades(client, 'insert', [{ price: 1, size: 1, timestamp: at(0, 5) }]);
+		sendTrades(client, 'insert', [{ price: 2, size: 1, timestamp: at(0, 50) }]);
+		sendTrades(client, 'insert', [{ price: 3, size: 1, timestamp: at(3, 1) }]);
+		client.removeListener('trade', aggregator.onTrade);
+
+		expect(updates).to.deep.equal([1, 2, 3]);
+		expect(closed.map((bar) => [bar.time, bar.open, bar.close, bar.volume])).to.deep.equal([
+			[Date.parse(at(0)), 1, 2, 2],
+			[Date.parse(at(1)), 2, 2, 0],
+			[Date.parse(at(2)), 2, 2, 0]
+		]);
+		expect(aggregator.getCurrentBar()).to.include({ time: Date.parse(at(3)), open: 3, volume: 1 });
+	});
+
+	it('Skip empty intervals without gap filling and amend late trades', () => {
+		const client = new HollaEx({ transport: createTransport() });
+		const aggregator = new CandleAggregator(client, 'xht-usdt', { interval: '1m', fillGaps: false, maxBars: 2 });
+
+		aggregator.addTrade({ price: 1, size: 1, timestamp: at(0, 5) });
+		aggregator.addTrade({ price: 2, size: 1, timestamp: at(3, 5) });
+		aggregator.addTrade({ price: 0.5, size: 2, timestamp: at(0, 30) });
+		aggregator.addTrade({ price: 3, size: 1, timestamp: at(4, 5) });
+		aggregator.addTrade({ price: 4, size: 1, timestamp: at(5, 5) });
+
+		expect(aggregator.getBars().map((bar) => bar.time)).to.deep.equal([Date.parse(at(3)), Date.parse(at(4))]);
+
+		const amended = new CandleAggregator(client, 'xht-usdt', { interval: '1m', fillGaps: false });
+		amended.addTrade({ price: 1, size: 1, timestamp: at(0, 5) });
+		amended.addTrade({ price: 2, size: 1, timestamp: at(3, 5) });
+		amended.addTrade({ price: 0.5, size: 2, timestamp: at(0, 30) });
+		expect(amended.getBars()).to.deep.equal([
+			{ time: Date.parse(at(0)), open: 1, high: 1, low: 0.5, close: 0.5, volume: 3, trades: 2 }
+		]);
+	});
+});
@@ -0,0 +1,92 @@
+const { expect } = require('chai');
+const HollaEx = require('../../index');
+const { formatToIncrement, toNumbers } = require('../../decimals');
+const { createFakeTransport, respond } = require('../helpers');
+
+const { Decimal } = HollaEx;
+
+const TRADES = [
+	{ side: 'buy', symbol: 'xht-usdt', size: 0.1, price: 0.2, timestamp: '2024-01-01T00:00:00.000Z', fee: 0 },
+	{ side: 'buy', symbol: 'xht-usdt', size: 0.2, price: 0.1, timestamp: '2024-01-02T00:00:00.000Z', fee: 0 }
+];
+
+const createTransport = () => createFakeTransport((req, url) => {
+	if (url.pathname === '/v2/constants') {
+		return respond({ pairs: { 'xht-usdt': { increment_size: 0.1, increment_price: 0.01 } } });
+	}
+	if (url.pathname === '/v2/user/balance') {
+		return respond({ usdt_balance: 0.1, usdt_available: 0.2, updated_at: '2024-01-01T00:00:00.000Z' });
+	}
+	if (url.pathname === '/v2/orderbook') {
+		return respond({ 'xht-usdt': { bids: [[0.1, 0.7]], asks: [[0.2, 0.3]], timestamp: '2024-01-01T00:00:00.000Z' } });
+	}
+	if (url.pathname === '/v2/user/trades') {
+		return respond({ count: TRADES.length, data: TRADES });
+	}
+	return respond(JSON.parse(req.body));
+});
+
+describe('Decimals', () => {
+	it('Parse balances, orderbooks and user trades into Decimals', async () => {
+		const client = new HollaEx({ transport: createTransport(), decimals: true });
+
+		const balance = await client.getBalance();
+		expect(balance.usdt_balance).to.be.instanceOf(Decimal);
+		expect(balance.usdt_balance.plus(balance.usdt_available).toString()).to.equal('0.3');
+		expect(balance.updated_at).to.equal('2024-01-01T00:00:00.000Z');
+
+		const orderbook = await client.getOrderbook('xht-usdt');
+		const [[price, size]] = orderbook['xht-usdt'].bids;
+		expect(price.minus(size).toString()).to.equal('-0.6');
+
+		const trades = await client.getUserTrades();
+		expect(trades.count).to.equal(2);
+		expect(trades.data[0].size.plus(trades.data[1].size).toString()).to.equal('0.3');
+	});
+
+	it('Leave responses untouched without the decimals option', async () => {
+		const client = new HollaEx({ transport: createTransport() });
+		const balance = await client.getBalance();
+		expect(balance.usdt_balance).to.equal(0.1);
+	});
+
+	it('Format order inputs to the pair increments', async () => {
+		const transport = createTransport();
+		const client = new HollaEx({ transport, decimals: true, validateOrders: true });
+
+		const order = await client.createOrder('xht-usdt', 'buy', 0.1 + 0.2, 'limit', '1.2345', { stop: new Decimal('1.005') });
+		expect(order).to.include({ size: 0.3, price: 1.23, stop: 1.01 });
+
+		const sell = await client.createOrder('xht-usdt', 'sell', 0.3 - 0.1, 'market');
+		expect(sell).to.include({ size: 0.2, price: 0 });
+	});
+
+	it('Round with Decimal precision', () => {
+		expect(formatToIncrement(0.3 - 0.1, 0.1, 'floor')).to.equal(0.2);
+		expect(formatToIncrement('0.129', 0.01, 'floor')).to.equal(0.12);
+		expect(formatToIncrement(1.005, 0.01)).to.equal(1.01);
+		expect(formatToIncrement(1.001, 0.01, 'ceil')).to.equal(1.01);
+		expect(toNumbers({ bids: [[new Decimal('0.1'), new Decimal('2')]], symbol: 'xht-usdt' })).to.deep.equal({
+			bids: [[0.1, 2]],
+			symbol: 'xht-usdt'
+		});
+	});
+
+	it('Parse websocket payloads while helpers keep working with numbers', async () => {
+		const client = new HollaEx({ transport: createTransport(), decimals: true });
+		const portfolio = await client.createPortfolio();
+		const messages = [];
+		client.on('wallet', (message) => messages.push(message));
+
+		client.handleMessage(JSON.stringify({ topic: 'wallet', action: 'partial', data: { usdt_balance: 0.1 } }));
+		client.handleMessage(JSON.stringify({
+			topic: 'usertrade',
+			action: 'insert',
+			data: [{ side: 'sell', symbol: 'xht-usdt', size: 0.3, price: 0.3, timestamp: '2024-01-03T00:00:00.000Z', fee: 0 }]
+		}));
+		portfolio.stop();
+
+		expect(messages[0].data.usdt_balance).to.be.instanceOf(Decimal);
+		expect(portfolio.getPosition('xht-usdt')).to.include({ size: 0, realizedPnl: 0.05 });
+	});
+});
@@ -0,0 +1,62 @@
+const { expect } = require('chai');
+const HollaEx = require('../../index');
+const { createFakeTransport, catchError } = require('../helpers');
+
+describe('Errors', () => {
+	it('Map an invalid request to a ValidationError', async () => {
+		const client = new HollaEx({
+			transport: createFakeTransport([{
+				statusCode: 400,
+				headers: { 'x-request-id': 'req-1' },
+				body: '{"message":"Invalid symbol"}'
+			}])
+		});
+		const err = await catchError(client.getTicker());
+		expect(err).to.be.instanceOf(HollaEx.ValidationError);
+		expect(err).to.be.instanceOf(HollaEx.HollaExError);
+		expect(err.message).to.equal('Invalid symbol');
+		expect(err.status).to.equal(400);
+		expect(err.path).to.equal('/v2/ticker');
+		expect(err.requestId).to.equal('req-1');
+	});
+
+	it('Map authentication failures to an AuthenticationError', async () => {
+		const client = new HollaEx({
+			transport: createFakeTransport([{ statusCode: 401, headers: {}, body: '{"message":"Access denied"}' }])
+		});
+		const err = await catchError(client.getBalance());
+		expect(err).to.be.instanceOf(HollaEx.AuthenticationError);
+	});
+
+	it('Map rate limited responses to a RateLimitError', async () => {
+		const client = new HollaEx({
+			retry: false,
+			transport: createFakeTransport([{ statusCode: 429, headers: { 'retry-after': '3' }, body: '' }])
+		});
+		const err = await catchError(client.getTickers());
+		expect(err).to.be.instanceOf(HollaEx.RateLimitError);
+		expect(err.retryAfter).to.equal(3000);
+	});
+
+	it('Map server messages to InsufficientBalanceError and OrderNotFoundError', async () => {
+		let client = new HollaEx({
+			transport: createFakeTransport([{ statusCode: 400, headers: {}, body: '{"message":"Insufficient balance to perform the order"}' }])
+		});
+		expect(await catchError(client.createOrder('xht-usdt', 'buy', 1, 'market'))).to.be.instanceOf(HollaEx.InsufficientBalanceError);
+
+		client = new HollaEx({
+			transport: createFakeTransport([{ statusCode: 404, headers: {}, body: '{"message":"Order not found"}' }])
+		});
+		expect(await catchError(client.cancelOrder('abc'))).to.be.instanceOf(HollaEx.OrderNotFoundError);
+	});
+
+	it('Wrap transport failures in a NetworkError', async () => {
+		const cause = new Error('socket hang up');
+		cause.code = 'ECONNRESET';
+		const client = new HollaEx({ retry: false, transport: createFakeTransport([cause]) });
+		const err = await catchError(client.getTickers());
+		expect(err).to.be.instanceOf(HollaEx.NetworkError);
+		expect(err.code).to.equal('ECONNRESET');
+		expect(err.cause).to.equal(cause);
+	});
+});
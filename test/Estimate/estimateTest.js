@@ -0,0 +1,98 @@
+const { expect } = require('chai');
+const HollaEx = require('../../index');
+const { createFakeTransport, respond, catchError } = require('../helpers');
+
+const BOOK = {
+	bids: [[0.9, 10], [0.8, 20]],
+	asks: [[1.1, 10], [1, 10], [1.2, 5]],
+	timestamp: '2024-01-01T00:00:00.000Z'
+};
+
+const createTransport = () => createFakeTransport((req, url) => {
+	if (url.pathname === '/v2/orderbook') {
+		return respond({ 'xht-usdt': BOOK });
+	}
+	if (url.pathname === '/v2/orders') {
+		return respond({ count: 1, data: [{ id: 'order', symbol: 'xht-usdt', fee_structure: { maker: 0.1, taker: 0.2 } }] });
+	}
+	return respond({});
+});
+
+describe('Execution estimate', () => {
+	it('Estimate the average price, slippage and fee of a market order', async () => {
+		const client = new HollaEx({ transport: createTransport() });
+		const estimate = await client.estimateExecution('xht-usdt', 'buy', 15);
+
+		expect(estimate).to.include({
+			symbol: 'xht-usdt',
+			side: 'buy',
+			size: 15,
+			filled: 15,
+			remaining: 0,
+			worstPrice: 1.1,
+			midPrice: 0.95,
+			notional: 15.5,
+			feeRate: 0.2,
+			fee: 0.03,
+			feeCoin: 'xht',
+			sufficientDepth: true
+		});
+		expect(estimate.averagePrice).to.be.closeTo(15.5 / 15, 1e-8);
+		expect(estimate.slippageBps).to.be.closeTo((15.5 / 15 - 0.95) / 0.95 * 10000, 1e-6);
+	});
+
+	it('Report when the visible depth cannot absorb the size', async () => {
+		const client = new HollaEx({ transport: createTransport() });
+		const estimate = await client.estimateExecution('xht-usdt', 'sell', 40, { feeStructure: { maker: 0, taker: 0.5 } });
+
+		expect(estimate).to.include({
+			filled: 30,
+			remaining: 10,
+			worstPrice: 0.8,
+			notional: 25,
+			fee: 0.125,
+			feeCoin: 'usdt',
+			sufficientDepth: false
+		});
+	});
+
+	it('Use the local order book when it is up to date', async () => {
+		const transport = createTransport();
+		const client = new HollaEx({ transport, mode: 'paper', paper: { fees: { maker: 0, taker: 0.3 } } });
+		const orderBook = await client.createOrderBook('xht-usdt', { staleTimeout: 0 });
+		client.handleMessage(JSON.stringify({
+			topic: 'orderbook',
+			action: 'partial',
+			symbol: 'xht-usdt',
+			data: { bids: [[2, 1]], asks: [[3, 1]], timestamp: '2024-01-01T00:00:00.000Z' }
+		}));
+
+		const estimate = await client.estimateExecution('xht-usdt', 'sell', 1);
+		expect(estimate).to.include({ averagePrice: 2, midPrice: 2.5, slippageBps: 2000, feeRate: 0.3, fee: 0.006 });
+		expect(transport.calls).to.deep.equal([]);
+		orderBook.destroy();
+	});
+
+	it('Find the largest size within a slippage budget', async () => {
+		const client = new HollaEx({ transport: createTransport() });
+
+		const buy = await client.getMaxExecutionSize('xht-usdt', 'buy', 1000);
+		expect(buy.maxSlippageBps).to.equal(1000);
+		expect(buy.filled).to.be.closeTo(10 + 0.45 / 0.055, 1e-7);
+		expect(buy.slippageBps).to.be.at.most(1000);
+		expect(buy.slippageBps).to.be.closeTo(1000, 0.001);
+
+		const all = await client.getMaxExecutionSize('xht-usdt', 'sell', 5000);
+		expect(all).to.include({ size: 30, sufficientDepth: true });
+
+		const none = await client.getMaxExecutionSize('xht-usdt', 'buy', 100);
+		expect(none).to.include({ size: 0, filled: 0, averagePrice: null });
+	});
+
+	it('Reject invalid parameters', async () => {
+		const client = new HollaEx({ transport: createTransport() });
+		expect(await catchError(client.estimateExecution('xht-usdt', 'hold', 1))).to.be.instanceOf(HollaEx.ValidationError);
+		expect(await catchError(client.estimateExecution('xht-usdt', 'buy', 0))).to.be.instanceOf(HollaEx.ValidationError);
+		expect(await catchError(client.getMaxExecutionSize('xht-usdt', 'buy', -1))).to.be.instanceOf(HollaEx.ValidationError);
+	});
+});
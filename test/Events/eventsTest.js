@@ -0,0 +1,101 @@
+const WebSocket = require('ws');
+const { expect } = require('chai');
+const HollaEx = require('../../index');
+
+describe('Client events', () => {
+	let server;
+	let client;
+
+	beforeEach((done) => {
+		server = new WebSocket.Server({ port: 0 }, () => {
+			client = new HollaEx({
+				wsURL: `ws://127.0.0.1:${server.address().port}`,
+				reconnect: { initialDelay: 10, jitter: 0 }
+			});
+			done();
+		});
+	});
+
+	afterEach((done) => {
+		client.wsReconnect = false;
+		if (client.ws) {
+			client.ws.terminate();
+		}
+		server.close(() => done());
+	});
+
+	it('Emit parsed topic messages', (done) => {
+		server.once('connection', (socket) => {
+			socket.send(JSON.stringify({ topic: 'trade', action: 'partial', symbol: 'xht-usdt', data: [] }));
+		});
+
+		client.on('trade', (message) => {
+			expect(message.symbol).to.equal('xht-usdt');
+			done();
+		});
+		client.connect([]);
+	});
+
+	it('Keep listeners across reconnects', (done) => {
+		const lifecycle = [];
+		let connections = 0;
+
+		server.on('connection', (socket) => {
+			connections++;
+			if (connections === 1) {
+				socket.terminate();
+			} else {
+				socket.send(JSON.stringify({ topic: 'wallet', action: 'partial', data: {} }));
+			}
+		});
+
+		['open', 'reconnecting', 'reconnected'].forEach((event) => {
+			client.on(event, () => lifecycle.push(event));
+		});
+		client.on('wallet', () => {
+			expect(lifecycle).to.deep.equal(['open', 'reconnecting', 'open', 'reconnected']);
+			done();
+		});
+		client.connect([]);
+	});
+
+	it('Back off between attempts and give up after maxAttempts', (done) => {
+		const attempts = [];
+		let gaveUp = false;
+		const port = server.address().port;
+		client = new HollaEx({
+			wsURL: `ws://127.0.0.1:${port}`,
+			reconnect: {
+				initialDelay: 5,
+				multiplier: 3,
+				jitter: 0,
+				maxAttempts: 2,
+				onGiveUp: (count) => (gaveUp = count === 2)
+			}
+		});
+
+		client.on('reconnecting', (info) => attempts.push(info));
+		client.on('reconnectFailed', ({ attempts: count }) => {
+			expect(count).to.equal(2);
+			expect(attempts).to.deep.equal([
+				{ attempt: 1, delay: 5 },
+				{ attempt: 2, delay: 15 }
+			]);
+			expect(gaveUp).to.equal(true);
+			done();
+		});
+
+		server.close(() => {
+			client.connect([]);
+		});
+	});
+
+	it('Emit close after disconnect', (done) => {
+		client.on('open', () => client.disconnect());
+		client.on('close', () => {
+			expect(client.ws).to.equal(null);
+			done();
+		});
+		client.connect([]);
+	});
+});
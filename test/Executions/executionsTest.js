@@ -0,0 +1,181 @@
+const { expect } = require('chai');
+const HollaEx = require('../../index');
+const { createFakeTransport, respond, formatCall } = require('../helpers');
+
+const createClient = () => {
+	const client = new HollaEx({
+		transport: { request: () => Promise.reject(new Error('offline')) },
+		mode: 'paper',
+		paper: { balances: { usdt: 10000, xht: 1000 }, fees: { maker: 0, taker: 0 } }
+	});
+	client.paper.updateOrderbook('xht-usdt', { bids: [[0.9, 1000]], asks: [[1.1, 1000]] });
+	return client;
+};
+
+const trade = (client, price, size) => {
+	client.handleMessage(JSON.stringify({
+		topic: 'trade',
+		action: 'insert',
+		symbol: 'xht-usdt',
+		data: [{ price, size, side: 'sell' }]
+	}));
+};
+
+describe('Executions', () => {
+	it('Split a TWAP order into equal slices over the duration', async () => {
+		const client = createClient();
+		const execution = client.createExecution('twap', {
+			symbol: 'xht-usdt',
+			side: 'buy',
+			size: 9,
+			duration: 30,
+			slices: 3
+		});
+		const percents = [];
+		execution.on('progress', (progress) => percents.push(progress.percent));
+
+		const result = await execution.wait();
+		expect(result.status).to.equal('completed');
+		expect(result.filled).to.equal(9);
+		expect(result.orders.map((order) => order.size)).to.deep.equal([3, 3, 3]);
+		expect(result.orders.map((order) => order.meta.client_order_id)).to.deep.equal([1, 2, 3].map((n) => `${execution.id}-${n}`));
+		expect(percents[percents.length - 1]).to.equal(100);
+	});
+
+	it('Replace unfilled TWAP limit slices and stop at the end of the schedule', async () => {
+		const client = createClient();
+		const execution = client.createExecution('twap', {
+			symbol: 'xht-usdt',
+			side: 'buy',
+			size: 4,
+			price: 1,
+			duration: 20,
+			slices: 2
+		});
+		const result = await execution.wait();
+		expect(result.status).to.equal('completed');
+		expect(result.filled).to.equal(0);
+		expect(result.orders.map((order) => `${order.size}:${order.status}`)).to.deep.equal(['2:canceled', '4:canceled']);
+		expect((await client.getBalance()).usdt_available).to.equal(10000);
+	});
+
+	it('Follow a share of the traded volume', async () => {
+		const client = createClient();
+		const execution = client.createExecution('pov', {
+			symbol: 'xht-usdt',
+			side: 'sell',
+			size: 10,
+			rate: 0.25,
+			minSize: 2
+		});
+		trade(client, 1, 4);
+		await new Promise(setImmediate);
+		expect(execution.children.size).to.equal(0);
+
+		trade(client, 1, 12);
+		await new Promise(setImmediate);
+		expect(execution.filled).to.equal(4);
+
+		trade(client, 1, 100);
+		const result = await execution.wait();
+		expect(result.filled).to.equal(10);
+		expect(result.orders.map((order) => order.size)).to.deep.equal([4, 6]);
+	});
+
+	it('Replenish the visible part of an iceberg order', async () => {
+		const client = createClient();
+		const execution = client.createExecution('iceberg', {
+			symbol: 'xht-usdt',
+			side: 'buy',
+			size: 10,
+			price: 1,
+			displaySize: 4
+		});
+		await new Promise(setImmediate);
+		expect(execution.getOpenChildren().map((order) => order.size)).to.deep.equal([4]);
+
+		trade(client, 1, 4);
+		await new Promise(setImmediate);
+		trade(client, 1, 4);
+		await new Promise(setImmediate);
+		trade(client, 1, 4);
+
+		const result = await execution.wait();
+		expect(result.filled).to.equal(10);
+		expect(result.orders.map((order) => order.size)).to.deep.equal([4, 4, 2]);
+	});
+
+	it('Pause, resume and cancel an execution', async () => {
+		const client = createClient();
+		const execution = client.createExecution('iceberg', {
+			symbol: 'xht-usdt',
+			side: 'sell',
+			size: 10,
+			price: 2,
+			displaySize: 5
+		});
+		await new Promise(setImmediate);
+
+		await execution.pause();
+		expect(execution.status).to.equal('paused');
+		expect(execution.getOpenChildren()).to.deep.equal([]);
+
+		execution.resume();
+		await new Promise(setImmediate);
+		expect(execution.getOpenChildren().length).to.equal(1);
+
+		const canceled = new Promise((resolve) => execution.once('canceled', resolve));
+		const result = await execution.cancel();
+		expect(result.status).to.equal('canceled');
+		expect(await canceled).to.deep.equal(result);
+		expect(result.orders.map((order) => order.status)).to.deep.equal(['canceled', 'canceled']);
+		expect((await client.getBalance()).xht_available).to.equal(1000);
+	});
+
+	it('Cancel child orders that are placed after the execution is canceled', async () => {
+		const transport = createFakeTransport((req, url) => {
+			if (req.method === 'POST') {
+				const order = { ...JSON.parse(req.body), id: 'child', filled: 0, status: 'new' };
+				return new Promise((resolve) => setTimeout(() => resolve(respond(order)), 10));
+			}
+			return respond({ id: url.searchParams.get('order_id'), filled: 0, status: 'canceled' });
+		});
+		const client = new HollaEx({ transport });
+		const execution = client.createExecution('iceberg', {
+			symbol: 'xht-usdt',
+			side: 'buy',
+			size: 10,
+			price: 1,
+			displaySize: 5
+		});
+		await new Promise(setImmediate);
+		expect(execution.inFlight).to.equal(5);
+
+		const result = await execution.cancel();
+		expect(execution.inFlight).to.equal(0);
+		expect(result.status).to.equal('canceled');
+		expect(result.orders.map((order) => `${order.id}:${order.status}`)).to.deep.equal(['child:canceled']);
+		expect(transport.calls.map(formatCall)).to.deep.equal(['POST /v2/order', 'DELETE /v2/order?order_id=child']);
+	});
+
+	it('Fail when a child order is rejected and validate parameters', async () => {
+		const client = createClient();
+		const execution = client.createExecution('iceberg', {
+			symbol: 'xht-usdt',
+			side: 'buy',
+			size: 100000,
+			price: 1,
+			displaySize: 50000
+		});
+		try {
+			await execution.wait();
+			expect.fail('should have rejected');
+		} catch (err) {
+			expect(err).to.be.instanceOf(HollaEx.InsufficientBalanceError);
+			expect(execution.status).to.equal('failed');
+		}
+
+		expect(() => client.createExecution('vwap', {})).to.throw(HollaEx.ValidationError);
+		expect(() => client.createExecution('twap', { symbol: 'xht-usdt', side: 'buy', size: 1 })).to.throw(/duration/);
+	});
+});
@@ -0,0 +1,154 @@
+const { expect } = require('chai');
+const HollaEx = require('../../index');
+const { createFakeTransport, respond, catchError } = require('../helpers');
+
+const createFakeExchange = (rejects = () => false, delay = () => 0) => {
+	const orders = {};
+	let sequence = 0;
+	const transport = createFakeTransport((req, url) => {
+		const id = url.searchParams.get('order_id');
+
+		if (req.method === 'POST') {
+			const data = JSON.parse(req.body);
+			if (rejects(data)) {
+				return respond({ message: 'Invalid stop price' }, 400);
+			}
+			sequence++;
+			const order = { ...data, id: `o${sequence}`, filled: 0, status: 'new' };
+			orders[order.id] = order;
+			return new Promise((resolve) => setTimeout(() => resolve(respond(order)), delay(data)));
+		}
+		if (req.method === 'DELETE') {
+			if (orders[id].status === 'filled') {
+				return respond({ message: 'Order is already filled' }, 400);
+			}
+			orders[id] = { ...orders[id], status: 'canceled' };
+			return respond(orders[id]);
+		}
+		if (url.pathname === '/v2/orders') {
+			const data = Object.values(orders).reverse();
+			return respond({ count: data.length, data });
+		}
+		return respond(orders[id]);
+	});
+	return { ...transport, orders };
+};
+
+const fill = (client, exchange, id, filled) => {
+	const order = exchange.orders[id];
+	exchange.orders[id] = { ...order, filled, status: filled >= order.size ? 'filled' : 'pfilled' };
+	client.handleMessage(JSON.stringify({ topic: 'order', action: 'update', data: [exchange.orders[id]] }));
+};
+
+const settle = () => new Promise((resolve) => setTimeout(resolve, 5));
+
+describe('Linked orders', () => {
+	it('Cancel the sibling when an OCO leg fills', async () => {
+		const exchange = createFakeExchange();
+		const client = new HollaEx({ transport: exchange });
+		const oco = await client.createOcoOrder('xht-usdt', 'sell', 10, { takeProfit: 1.5, stopLoss: 0.8 });
+		const [takeProfit, stopLoss] = oco.toJSON().exits;
+		expect(takeProfit).to.include({ id: 'o1', type: 'limit', price: 1.5, status: 'new' });
+		expect(stopLoss).to.include({ id: 'o2', type: 'market', stop: 0.8, status: 'new' });
+		expect(exchange.orders.o2.stop).to.equal(0.8);
+
+		const completed = new Promise((resolve) => oco.once('completed', resolve));
+		fill(client, exchange, 'o2', 10);
+		const state = await completed;
+		expect(state.status).to.equal('completed');
+		expect(state.exits.map((leg) => leg.status)).to.deep.equal(['canceled', 'filled']);
+	});
+
+	it('Shrink the sibling after a partial fill', async () => {
+		const exchange = createFakeExchange();
+		const client = new HollaEx({ transport: exchange });
+		const oco = await client.createOcoOrder('xht-usdt', 'sell', 10, { takeProfit: 1.5, stopLoss: 0.8, stopLossPrice: 0.75 });
+
+		fill(client, exchange, 'o1', 4);
+		await settle();
+		const stopLoss = oco.toJSON().exits[1];
+		expect(exchange.orders.o2.status).to.equal('canceled');
+		expect(stopLoss).to.include({ id: 'o3', size: 6, price: 0.75, status: 'new', placements: 2 });
+
+		fill(client, exchange, 'o1', 10);
+		await settle();
+		expect(oco.status).to.equal('completed');
+		expect(exchange.orders.o3.status).to.equal('canceled');
+	});
+
+	it('Place the exits of a bracket once the entry fills', async () => {
+		const exchange = createFakeExchange();
+		const client = new HollaEx({ transport: exchange });
+		const bracket = await client.createBracketOrder('xht-usdt', 'buy', 5, 'limit', 1, { takeProfit: 1.2, stopLoss: 0.9 });
+		expect(bracket.toJSON().exits).to.deep.equal([]);
+
+		fill(client, exchange, 'o1', 5);
+		await settle();
+		const exits = bracket.toJSON().exits;
+		expect(exits.map((leg) => `${leg.side}:${leg.size}:${leg.id}`)).to.deep.equal(['sell:5:o2', 'sell:5:o3']);
+
+		const canceled = await bracket.cancel();
+		expect(canceled.status).to.equal('canceled');
+		expect(exchange.orders.o2.status).to.equal('canceled');
+		expect(exchange.orders.o3.status).to.equal('canceled');
+	});
+
+	it('Resume from a saved state and act on fills missed while stopped', async () => {
+		const exchange = createFakeExchange();
+		let client = new HollaEx({ transport: exchange });
+		const oco = await client.createOcoOrder('xht-usdt', 'buy', 2, { takeProfit: 0.5, stopLoss: 1.5 });
+		const saved = JSON.parse(JSON.stringify(oco));
+		client.removeAllListeners('order');
+
+		exchange.orders.o1 = { ...exchange.orders.o1, filled: 2, status: 'filled' };
+
+		client = new HollaEx({ transport: exchange });
+		const resumed = await client.resumeLinkedOrder(saved);
+		expect(resumed.id).to.equal(oco.id);
+		expect(resumed.status).to.equal('completed');
+		expect(exchange.orders.o2.status).to.equal('canceled');
+	});
+
+	it('Find a leg placed just before a restart by its client order id', async () => {
+		const exchange = createFakeExchange();
+		const client = new HollaEx({ transport: exchange });
+		const bracket = await client.createBracketOrder('xht-usdt', 'sell', 1, 'market', 0, { takeProfit: 0.5, stopLoss: 1.5 });
+		const saved = bracket.toJSON();
+		saved.entry = { ...saved.entry, id: null, status: 'placing' };
+		bracket.removeAllListeners();
+		client.removeAllListeners('order');
+
+		const resumed = await client.resumeLinkedOrder(saved);
+		expect(resumed.toJSON().entry.id).to.equal('o1');
+		expect(exchange.calls.filter((call) => call.method === 'POST').length).to.equal(1);
+	});
+
+	it('Cancel the placed legs and reject when another leg is rejected', async () => {
+		const exchange = createFakeExchange((data) => data.stop !== undefined);
+		const client = new HollaEx({ transport: exchange });
+		const err = await catchError(client.createOcoOrder('xht-usdt', 'sell', 10, { takeProfit: 1.5, stopLoss: 0.8 }));
+		expect(err).to.be.instanceOf(HollaEx.ValidationError);
+		expect(exchange.orders.o1).to.include({ price: 1.5, status: 'canceled' });
+		expect(client.listenerCount('order')).to.equal(0);
+
+		const bracket = await client.createBracketOrder('xht-usdt', 'buy', 5, 'limit', 1, { takeProfit: 1.2, stopLoss: 0.9 });
+		const failed = new Promise((resolve) => bracket.once('error', resolve));
+		fill(client, exchange, 'o2', 5);
+		expect(await failed).to.be.instanceOf(HollaEx.ValidationError);
+		expect(bracket.status).to.equal('failed');
+		expect(exchange.orders.o3).to.include({ price: 1.2, status: 'canceled' });
+	});
+
+	it('Cancel a leg answered after its sibling was rejected', async () => {
+		const exchange = createFakeExchange((data) => data.type === 'limit', (data) => data.stop !== undefined ? 50 : 0);
+		const client = new HollaEx({ transport: exchange });
+		const err = await catchError(client.createOcoOrder('xht-usdt', 'sell', 10, { takeProfit: 1.5, stopLoss: 0.8 }));
+		expect(err).to.be.instanceOf(HollaEx.ValidationError);
+		expect(exchange.orders.o1).to.include({ stop: 0.8, status: 'canceled' });
+	});
+
+	it('Validate the prices', () => {
+		const client = new HollaEx({ transport: createFakeExchange() });
+		expect(() => client.createOcoOrder('xht-usdt', 'sell', 1, { takeProfit: 1 })).to.throw(HollaEx.ValidationError);
+	});
+});
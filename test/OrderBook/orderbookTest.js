@@ -0,0 +1,68 @@
+const { expect } = require('chai');
+const HollaEx = require('../../index');
+const { OrderBook } = require('../../orderbook');
+
+const partial = (symbol, bids, asks) => ({
+	topic: 'orderbook',
+	action: 'partial',
+	symbol,
+	data: { bids, asks, timestamp: '2020-12-15T06:45:27.766Z' }
+});
+
+describe('OrderBook', () => {
+	let orderBook;
+
+	beforeEach(() => {
+		orderBook = new OrderBook('xht-usdt', { staleTimeout: 0 });
+		orderBook.update(partial('xht-usdt', [[0.9, 2], [0.95, 1], [0.8, 5]], [[1.1, 3], [1.05, 1]]));
+	});
+
+	afterEach(() => {
+		orderBook.destroy();
+	});
+
+	it('Expose best bid, best ask, spread and mid', () => {
+		expect(orderBook.getBestBid()).to.deep.equal([0.95, 1]);
+		expect(orderBook.getBestAsk()).to.deep.equal([1.05, 1]);
+		expect(orderBook.getSpread()).to.be.closeTo(0.1, 1e-9);
+		expect(orderBook.getMid()).to.be.closeTo(1, 1e-9);
+	});
+
+	it('Return the top levels and cumulative size', () => {
+		expect(orderBook.getDepth(2)).to.deep.equal({
+			bids: [[0.95, 1], [0.9, 2]],
+			asks: [[1.05, 1], [1.1, 3]]
+		});
+		expect(orderBook.getCumulativeSize('bids', 0.9)).to.equal(3);
+		expect(orderBook.getCumulativeSize('asks', 1.1)).to.equal(4);
+	});
+
+	it('Emit change and ignore other symbols', () => {
+		let changes = 0;
+		orderBook.on('change', () => changes++);
+		orderBook.update(partial('btc-usdt', [[1, 1]], [[2, 1]]));
+		orderBook.update(partial('xht-usdt', [[1, 1]], [[2, 1]]));
+		expect(changes).to.equal(1);
+		expect(orderBook.getBestBid()).to.deep.equal([1, 1]);
+	});
+
+	it('Resubscribe from the client when the book goes stale', (done) => {
+		const client = new HollaEx();
+		const sent = [];
+		client.wsConnected = () => true;
+		client.ws = { send: (data) => sent.push(JSON.parse(data)) };
+		client.wsEvents = ['orderbook:xht-usdt'];
+
+		const book = client.createOrderBook('xht-usdt', { staleTimeout: 10 });
+		client.handleMessage(JSON.stringify(partial('xht-usdt', [[1, 1]], [[2, 1]])));
+		expect(book.getMid()).to.equal(1.5);
+
+		book.once('stale', () => {
+			setImmediate(() => {
+				expect(sent.map((message) => message.op)).to.deep.equal(['unsubscribe', 'subscribe']);
+				client.removeOrderBook('xht-usdt');
+				done();
+			});
+		});
+	});
+});
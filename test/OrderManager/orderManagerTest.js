@@ -0,0 +1,121 @@
+const { URL } = require('url');
+const { expect } = require('chai');
+const HollaEx = require('../../index');
+
+const createPaperClient = () => {
+	const client = new HollaEx({
+		transport: { request: () => Promise.reject(new Error('offline')) },
+		mode: 'paper',
+		paper: { balances: { usdt: 1000, xht: 100 } }
+	});
+	client.paper.updateOrderbook('xht-usdt', { bids: [[0.9, 100]], asks: [[1.1, 100]] });
+	return client;
+};
+
+describe('Order manager', () => {
+	it('Seed open orders and follow status changes until filled', async () => {
+		const client = createPaperClient();
+		const seeded = await client.createOrder('xht-usdt', 'buy', 10, 'limit', 1);
+		const manager = await client.createOrderManager();
+		expect(manager.getOpenOrders().map((order) => order.id)).to.deep.equal([seeded.id]);
+
+		const changes = [];
+		const off = manager.onStatusChange((order, previous) => changes.push(`${previous}>${order.status}`));
+		const filled = manager.waitForFill(seeded.id);
+
+		client.paper.addTrade('xht-usdt', { price: 1, size: 4 });
+		expect(manager.getFilledSize(seeded.id)).to.equal(4);
+		expect(manager.getRemainingSize(seeded.id)).to.equal(6);
+
+		client.paper.addTrade('xht-usdt', { price: 0.99, size: 6 });
+		const order = await filled;
+		expect(order.status).to.equal('filled');
+		expect(manager.getRemainingSize(seeded.id)).to.equal(0);
+		expect(changes).to.deep.equal(['new>pfilled', 'pfilled>filled']);
+		expect(manager.getOpenOrders()).to.deep.equal([]);
+
+		off();
+		manager.stop();
+	});
+
+	it('Track orders created after start and reject waiters on cancel', async () => {
+		const client = createPaperClient();
+		const manager = await client.createOrderManager({ symbol: 'xht-usdt' });
+		const order = await client.createOrder('xht-usdt', 'sell', 5, 'limit', 2);
+		expect(manager.getOrder(order.id).status).to.equal('new');
+
+		const waiting = manager.waitForFill(order.id);
+		await client.cancelOrder(order.id);
+		try {
+			await waiting;
+			expect.fail('should have rejected');
+		} catch (err) {
+			expect(err).to.be.instanceOf(HollaEx.HollaExError);
+			expect(err.order.status).to.equal('canceled');
+		}
+		manager.stop();
+	});
+
+	it('Time out waiting for a fill', async () => {
+		const client = createPaperClient();
+		const manager = await client.createOrderManager();
+		const order = await client.createOrder('xht-usdt', 'buy', 1, 'limit', 0.5);
+		try {
+			await manager.waitForFill(order.id, { timeout: 10 });
+			expect.fail('should have rejected');
+		} catch (err) {
+			expect(err.message).to.match(/Timed out/);
+		}
+		expect(manager.waiters.size).to.equal(0);
+		manager.stop();
+	});
+
+	it('Fill an order from trades whose sizes do not add up exactly in floating point', async () => {
+		const order = { id: 'a', symbol: 'xht-usdt', side: 'buy', size: 1, filled: 0, status: 'new' };
+		const transport = {
+			request: () => Promise.resolve({ statusCode: 200, headers: {}, body: { count: 1, data: [order] } })
+		};
+		const client = new HollaEx({ transport });
+		const manager = await client.createOrderManager();
+		const filled = manager.waitForFill('a');
+
+		[0.7, 0.1, 0.1, 0.1].forEach((size) => {
+			client.emit('usertrade', { topic: 'usertrade', data: [{ order_id: 'a', symbol: 'xht-usdt', size, price: 1 }] });
+		});
+		expect((await filled).status).to.equal('filled');
+		expect(manager.getFilledSize('a')).to.equal(1);
+		manager.stop();
+	});
+
+	it('Reconcile missed changes through REST after a reconnect', async () => {
+		const orders = {
+			a: { id: 'a', symbol: 'xht-usdt', side: 'buy', size: 1, filled: 0, status: 'new' },
+			b: { id: 'b', symbol: 'xht-usdt', side: 'sell', size: 2, filled: 0, status: 'new' }
+		};
+		let open = [orders.a, orders.b];
+		const transport = {
+			request: (req) => {
+				const url = new URL(req.url);
+				if (url.pathname === '/v2/orders') {
+					return Promise.resolve({ statusCode: 200, headers: {}, body: { count: open.length, data: open } });
+				}
+				const order = orders[url.searchParams.get('order_id')];
+				return Promise.resolve({ statusCode: 200, headers: {}, body: order });
+			}
+		};
+		const client = new HollaEx({ transport });
+		const manager = await client.createOrderManager();
+		expect(manager.getOpenOrders().length).to.equal(2);
+
+		orders.a = { ...orders.a, filled: 1, status: 'filled' };
+		orders.b = { ...orders.b, filled: 1, status: 'pfilled' };
+		open = [orders.b];
+
+		const filled = manager.waitForFill('a');
+		client.emit('reconnected', { attempt: 1 });
+		await filled;
+		expect(manager.getOpenOrders().map((order) => order.id)).to.deep.equal(['b']);
+		expect(manager.getRemainingSize('b')).to.equal(1);
+		manager.stop();
+	});
+});
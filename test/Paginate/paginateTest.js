@@ -0,0 +1,50 @@
+const { expect } = require('chai');
+const HollaEx = require('../../index');
+const { createFakeTransport, respond, formatCall } = require('../helpers');
+
+const ROWS = Array.from({ length: 7 }, (value, index) => ({ id: index + 1 }));
+
+const createTransport = () => createFakeTransport((req, url) => {
+	const page = Number(url.searchParams.get('page'));
+	const limit = Number(url.searchParams.get('limit'));
+	return respond({ count: ROWS.length, data: ROWS.slice((page - 1) * limit, page * limit) });
+});
+
+describe('Pagination', () => {
+	it('Yield every row page by page with the same filters', async () => {
+		const transport = createTransport();
+		const client = new HollaEx({ transport });
+		const ids = [];
+		for await (const row of client.paginate('getDeposits', { currency: 'btc' }, { pageSize: 3 })) {
+			ids.push(row.id);
+		}
+		expect(ids).to.deep.equal([1, 2, 3, 4, 5, 6, 7]);
+		expect(transport.calls.map(formatCall)).to.deep.equal([
+			'GET /v2/user/deposits?&currency=btc&limit=3&page=1',
+			'GET /v2/user/deposits?&currency=btc&limit=3&page=2',
+			'GET /v2/user/deposits?&currency=btc&limit=3&page=3'
+		]);
+	});
+
+	it('Stop at count without requesting an empty page', async () => {
+		const transport = createTransport();
+		const client = new HollaEx({ transport });
+		const rows = await client.paginate('getOrders', {}, { pageSize: 7 }).all();
+		expect(rows.length).to.equal(7);
+		expect(transport.calls.length).to.equal(1);
+	});
+
+	it('Respect maxPages and custom page functions', async () => {
+		const transport = createTransport();
+		const client = new HollaEx({ transport });
+		const rows = await client
+			.paginate((opts) => client.getExchangeUserReferrals(1, opts), {}, { pageSize: 2, maxPages: 2 })
+			.all();
+		expect(rows.map((row) => row.id)).to.deep.equal([1, 2, 3, 4]);
+	});
+
+	it('Reject unknown methods', () => {
+		const client = new HollaEx({ transport: createTransport() });
+		expect(() => client.paginate('getNothing')).to.throw('getNothing is not a method of the client');
+	});
+});
@@ -0,0 +1,181 @@
+const { expect } = require('chai');
+const HollaEx = require('../../index');
+const { catchError } = require('../helpers');
+
+const createClient = () => {
+	const transport = {
+		request: () => Promise.reject(new Error('Paper mode must not reach the network'))
+	};
+	const client = new HollaEx({
+		transport,
+		mode: 'paper',
+		paper: {
+			balances: { usdt: 1000, xht: 10 },
+			fees: { maker: 0.1, taker: 0.2 }
+		}
+	});
+	client.handleMessage(JSON.stringify({
+		topic: 'orderbook',
+		action: 'partial',
+		symbol: 'xht-usdt',
+		data: {
+			bids: [[0.99, 50], [0.98, 100]],
+			asks: [[1.01, 5], [1.02, 100]]
+		}
+	}));
+	return client;
+};
+
+describe('Paper trading', () => {
+	it('Fill market orders against the order book with taker fees', async () => {
+		const client = createClient();
+		const order = await client.createOrder('xht-usdt', 'buy', 10, 'market');
+		expect(order.status).to.equal('filled');
+		expect(order.filled).to.equal(10);
+		expect(order.fee).to.equal(0.02);
+
+		const balance = await client.getBalance();
+		expect(balance.usdt_balance).to.equal(989.85);
+		expect(balance.usdt_available).to.equal(989.85);
+		expect(balance.xht_balance).to.equal(19.98);
+
+		const trades = await client.getUserTrades();
+		expect(trades.count).to.equal(2);
+		expect(trades.data.map((trade) => trade.price)).to.deep.equal([1.02, 1.01]);
+	});
+
+	it('Lock funds for resting limit orders and fill them from trades', async () => {
+		const client = createClient();
+		const order = await client.createOrder('xht-usdt', 'buy', 100, 'limit', 0.95);
+		expect(order.status).to.equal('new');
+		expect(order).to.not.have.property('locked');
+
+		let balance = await client.getBalance();
+		expect(balance.usdt_balance).to.equal(1000);
+		expect(balance.usdt_available).to.equal(905);
+
+		client.handleMessage(JSON.stringify({
+			topic: 'trade',
+			action: 'insert',
+			symbol: 'xht-usdt',
+			data: [{ price: 0.95, size: 40, side: 'sell' }]
+		}));
+
+		const partial = await client.getOrder(order.id);
+		expect(partial.status).to.equal('pfilled');
+		expect(partial.filled).to.equal(40);
+		expect(partial.fee).to.equal(0.04);
+
+		const open = await client.getOrders({ open: true });
+		expect(open.count).to.equal(1);
+
+		await client.cancelOrder(order.id);
+		balance = await client.getBalance();
+		expect(balance.usdt_balance).to.equal(962);
+		expect(balance.usdt_available).to.equal(962);
+		expect(balance.xht_balance).to.equal(49.96);
+		expect((await client.getOrders({ open: true })).count).to.equal(0);
+	});
+
+	it('Fill resting orders when the order book crosses them', async () => {
+		const client = createClient();
+		const order = await client.createOrder('xht-usdt', 'sell', 5, 'limit', 1.05);
+		client.handleMessage(JSON.stringify({
+			topic: 'orderbook',
+			action: 'partial',
+			symbol: 'xht-usdt',
+			data: { bids: [[1.06, 3], [1.05, 10]], asks: [[1.07, 10]] }
+		}));
+		const filled = await client.getOrder(order.id);
+		expect(filled.status).to.equal('filled');
+
+		const balance = await client.getBalance();
+		expect(balance.xht_balance).to.equal(5);
+		expect(balance.usdt_balance).to.equal(1005.24475);
+	});
+
+	it('Emit websocket shaped order, usertrade and wallet events', async () => {
+		const client = createClient();
+		const events = [];
+		['order', 'usertrade', 'wallet'].forEach((topic) => {
+			client.on(topic, (message) => events.push(`${message.topic}:${message.action}`));
+		});
+		await client.createOrder('xht-usdt', 'sell', 1, 'market');
+		await new Promise((resolve) => setImmediate(resolve));
+		expect(events).to.deep.equal([
+			'order:insert',
+			'order:update',
+			'usertrade:insert',
+			'wallet:partial'
+		]);
+	});
+
+	it('Reject orders that the simulated account cannot cover', async () => {
+		const client = createClient();
+		let error = null;
+		try {
+			await client.createOrder('xht-usdt', 'buy', 2000, 'limit', 1);
+		} catch (err) {
+			error = err;
+		}
+		expect(error).to.be.instanceOf(HollaEx.InsufficientBalanceError);
+
+		try {
+			await client.cancelOrder('missing');
+		} catch (err) {
+			error = err;
+		}
+		expect(error).to.be.instanceOf(HollaEx.OrderNotFoundError);
+	});
+
+	it('Hold stop orders until a trade or the order book reaches the stop', async () => {
+		const client = createClient();
+		client.paper.updateOrderbook('xht-usdt', { bids: [[1, 50]], asks: [[1.1, 50]] });
+		const order = await client.createOrder('xht-usdt', 'sell', 1, 'limit', 0.8, { stop: 0.9 });
+		expect(order).to.include({ status: 'new', filled: 0, stop: 0.9 });
+		expect(order).to.not.have.property('triggered');
+
+		client.paper.addTrade('xht-usdt', { price: 0.95, size: 10 });
+		expect((await client.getOrder(order.id)).status).to.equal('new');
+		expect((await client.getBalance()).xht_available).to.equal(9);
+
+		client.paper.updateOrderbook('xht-usdt', { bids: [[0.85, 5]], asks: [[0.95, 5]] });
+		expect((await client.getOrder(order.id)).status).to.equal('filled');
+		expect((await client.getUserTrades()).data[0]).to.include({ price: 0.85, size: 1 });
+
+		const stop = await client.createOrder('xht-usdt', 'buy', 2, 'market', 0, { stop: 1 });
+		expect(stop.status).to.equal('new');
+		client.paper.addTrade('xht-usdt', { price: 1, size: 1 });
+		const triggered = await client.getOrder(stop.id);
+		expect(triggered).to.include({ status: 'filled', filled: 2 });
+		expect((await client.getBalance()).usdt_available).to.equal(998.9483);
+	});
+
+	it('Reject withdrawals', async () => {
+		const client = createClient();
+		const err = await catchError(client.makeWithdrawal('xht', 1, 'address'));
+		expect(err).to.be.instanceOf(HollaEx.ValidationError);
+		expect((await client.getBalance()).xht_balance).to.equal(10);
+	});
+
+	it('Find orders by client order id', async () => {
+		const client = createClient();
+		const order = await client.createOrder('xht-usdt', 'buy', 1, 'limit', 0.5, { clientOrderId: 'grid-1' });
+		await client.createOrder('xht-usdt', 'buy', 1, 'limit', 0.5);
+		expect(order.meta.client_order_id).to.equal('grid-1');
+		expect((await client.getOrderByClientId('grid-1')).id).to.equal(order.id);
+		expect(await client.getOrderByClientId('grid-2')).to.equal(null);
+	});
+
+	it('Cancel every open order of a symbol', async () => {
+		const client = createClient();
+		await client.createOrder('xht-usdt', 'buy', 1, 'limit', 0.5);
+		await client.createOrder('xht-usdt', 'sell', 1, 'limit', 2);
+		const canceled = await client.cancelAllOrders('xht-usdt');
+		expect(canceled.map((order) => order.status)).to.deep.equal(['canceled', 'canceled']);
+
+		const balance = await client.getBalance();
+		expect(balance.usdt_available).to.equal(1000);
+		expect(balance.xht_available).to.equal(10);
+	});
+});
@@ -0,0 +1,106 @@
+const { expect } = require('chai');
+const HollaEx = require('../../index');
+const { createFakeTransport, respond } = require('../helpers');
+
+const TRADES = [
+	{ side: 'buy', symbol: 'xht-usdt', size: 10, price: 1, timestamp: '2024-01-01T00:00:00.000Z', fee: 0, fee_coin: 'xht' },
+	{ side: 'sell', symbol: 'xht-usdt', size: 15, price: 3, timestamp: '2024-01-03T00:00:00.000Z', fee: 0, fee_coin: 'usdt' },
+	{ side: 'buy', symbol: 'xht-usdt', size: 10, price: 2, timestamp: '2024-01-02T00:00:00.000Z', fee: 0, fee_coin: 'xht' }
+];
+
+const createTransport = (trades = TRADES) => createFakeTransport((req, url) => {
+	if (url.pathname === '/v2/user/trades') {
+		return respond({ count: trades.length, data: trades });
+	}
+	if (url.pathname === '/v2/tickers') {
+		return respond({ 'xht-usdt': { last: 4 } });
+	}
+	return respond({ xht: 5 });
+});
+
+describe('Portfolio', () => {
+	it('Compute realized and unrealized PnL with FIFO, LIFO and average cost', async () => {
+		const client = new HollaEx({ transport: createTransport() });
+		const expected = {
+			fifo: { realizedPnl: 25, unrealizedPnl: 10, averagePrice: 2 },
+			lifo: { realizedPnl: 20, unrealizedPnl: 15, averagePrice: 1 },
+			average: { realizedPnl: 22.5, unrealizedPnl: 12.5, averagePrice: 1.5 }
+		};
+
+		for (const method of Object.keys(expected)) {
+			const portfolio = await client.createPortfolio({ method });
+			const [position] = await portfolio.mark();
+			expect(position).to.include({ symbol: 'xht-usdt', size: 5, markPrice: 4, trades: 3, ...expected[method] });
+			expect(portfolio.getPnl()).to.deep.equal({
+				usdt: { realizedPnl: expected[method].realizedPnl, unrealizedPnl: expected[method].unrealizedPnl, totalPnl: 35 }
+			});
+			portfolio.stop();
+		}
+	});
+
+	it('Deduct fees in either currency from the PnL', async () => {
+		const client = new HollaEx({
+			transport: createTransport([
+				{ side: 'buy', symbol: 'xht-usdt', size: 10, price: 1, timestamp: '2024-01-01T00:00:00.000Z', fee: 0.1, fee_coin: 'xht' },
+				{ side: 'sell', symbol: 'xht-usdt', size: 9.9, price: 2, timestamp: '2024-01-02T00:00:00.000Z', fee: 0.0198, fee_coin: 'usdt' }
+			])
+		});
+		const portfolio = await client.createPortfolio();
+		expect(portfolio.getPosition('xht-usdt')).to.include({
+			size: 0,
+			averagePrice: null,
+			realizedPnl: 9.7802,
+			fees: 0.1198
+		});
+	});
+
+	it('Track short positions', async () => {
+		const client = new HollaEx({
+			transport: createTransport([
+				{ side: 'sell', symbol: 'xht-usdt', size: 5, price: 2, timestamp: '2024-01-01T00:00:00.000Z', fee: 0 },
+				{ side: 'buy', symbol: 'xht-usdt', size: 2, price: 1, timestamp: '2024-01-02T00:00:00.000Z', fee: 0 }
+			])
+		});
+		const portfolio = await client.createPortfolio({ priceSource: 'oracle' });
+		const [position] = await portfolio.mark();
+		expect(position).to.include({ size: -3, averagePrice: 2, realizedPnl: 2, markPrice: 5, unrealizedPnl: -9 });
+	});
+
+	it('Follow the usertrade topic without counting trades twice', async () => {
+		const client = new HollaEx({ transport: createTransport() });
+		const portfolio = await client.createPortfolio();
+		const updates = [];
+		portfolio.on('update', (position) => updates.push(position.size));
+
+		const message = (action, data) => client.handleMessage(JSON.stringify({ topic: 'usertrade', action, data }));
+		message('partial', TRADES);
+		message('insert', [TRADES[0]]);
+		message('insert', [{ side: 'buy', symbol: 'xht-usdt', size: 1, price: 3, timestamp: '2024-01-04T00:00:00.000Z', fee: 0 }]);
+
+		expect(updates).to.deep.equal([6]);
+		expect(portfolio.getPosition('xht-usdt').realizedPnl).to.equal(25);
+		portfolio.stop();
+	});
+
+	it('Count identical fills and only skip the websocket trades already in the history', async () => {
+		const fill = { side: 'buy', symbol: 'xht-usdt', size: 1, price: 1, timestamp: '2024-01-01T00:00:00.000Z', order_id: 'a', fee: 0 };
+		const client = new HollaEx({ transport: createTransport([fill, fill]) });
+		const message = (data) => client.handleMessage(JSON.stringify({ topic: 'usertrade', action: 'insert', data }));
+
+		const loading = client.createPortfolio();
+		message([fill]);
+		const portfolio = await loading;
+		expect(portfolio.getPosition('xht-usdt')).to.include({ size: 2, trades: 2 });
+
+		message([fill]);
+		expect(portfolio.getPosition('xht-usdt').size).to.equal(2);
+		message([fill, fill]);
+		expect(portfolio.getPosition('xht-usdt')).to.include({ size: 4, trades: 4 });
+		portfolio.stop();
+	});
+
+	it('Reject unknown cost methods', () => {
+		const client = new HollaEx({ transport: createTransport() });
+		expect(() => client.createPortfolio({ method: 'hifo' })).to.throw(HollaEx.ValidationError);
+	});
+});
@@ -0,0 +1,110 @@
+const { expect } = require('chai');
+const HollaEx = require('../../index');
+const { createFakeTransport, respond, formatCall, catchError } = require('../helpers');
+
+const inFuture = () => new Date(Date.now() + 30000).toISOString();
+
+const createTransport = (quotes, executions = []) => createFakeTransport((req, url) => {
+	if (url.pathname === '/v2/quick-trade') {
+		return respond(quotes.shift());
+	}
+	if (url.pathname === '/v2/order/execute') {
+		const [statusCode, body] = executions.shift() || [200, { message: 'Success' }];
+		return respond(body, statusCode);
+	}
+	return respond({ message: 'Not found' }, 404);
+});
+
+const createQuote = (token, spending, receiving, expiry = inFuture()) => ({
+	spending_currency: 'usdt',
+	receiving_currency: 'xht',
+	spending_amount: spending,
+	receiving_amount: receiving,
+	token,
+	expiry
+});
+
+describe('Quick trade', () => {
+	it('Accept numeric amounts in getQuickTradeQuote', async () => {
+		const transport = createTransport([createQuote('a', 100, 50)]);
+		const client = new HollaEx({ transport });
+		await client.getQuickTradeQuote('usdt', 'xht', { spending_amount: 100 });
+		expect(transport.calls.map(formatCall)).to.deep.equal(['GET /v2/quick-trade?&spending_currency=usdt&receiving_currency=xht&spending_amount=100']);
+	});
+
+	it('Quote and execute within the maximum price', async () => {
+		const transport = createTransport([createQuote('a', 100, 50)]);
+		const client = new HollaEx({ transport });
+		const result = await client.quickTrade('usdt', 'xht', { spendingAmount: 100, maxPrice: 2 });
+
+		expect(result).to.include({
+			spendingCurrency: 'usdt',
+			receivingCurrency: 'xht',
+			spendingAmount: 100,
+			receivingAmount: 50,
+			price: 2,
+			requoted: false
+		});
+		expect(result.quote.token).to.equal('a');
+		expect(result.result).to.deep.equal({ message: 'Success' });
+		expect(formatCall(transport.calls[1])).to.equal('POST /v2/order/execute');
+	});
+
+	it('Reject quotes above the maximum price without executing them', async () => {
+		const transport = createTransport([createQuote('a', '101', '50')]);
+		const client = new HollaEx({ transport });
+		const err = await catchError(client.quickTrade('usdt', 'xht', { receivingAmount: '50', maxPrice: 2 }));
+
+		expect(err).to.be.instanceOf(HollaEx.HollaExError);
+		expect(err.quote.token).to.equal('a');
+		expect(transport.calls.map(formatCall)).to.deep.equal(['GET /v2/quick-trade?&spending_currency=usdt&receiving_currency=xht&receiving_amount=50']);
+	});
+
+	it('Quote again once when the token expires', async () => {
+		const transport = createTransport(
+			[createQuote('a', 100, 50), createQuote('b', 100, 49)],
+			[[400, { message: 'Token is expired' }]]
+		);
+		const client = new HollaEx({ transport });
+		const result = await client.quickTrade('usdt', 'xht', { spendingAmount: 100 });
+
+		expect(result).to.include({ receivingAmount: 49, requoted: true });
+		expect(result.quote.token).to.equal('b');
+		expect(transport.calls.map(formatCall).filter((call) => call === 'POST /v2/order/execute').length).to.equal(2);
+	});
+
+	it('Quote again before executing a quote that already expired', async () => {
+		const expired = new Date(Date.now() - 1000).toISOString();
+		const transport = createTransport([createQuote('a', 100, 50, expired), createQuote('b', 100, 50, expired)]);
+		const client = new HollaEx({ transport });
+		const err = await catchError(client.quickTrade('usdt', 'xht', { spendingAmount: 100 }));
+
+		expect(err.message).to.match(/expired/);
+		expect(err.quote.token).to.equal('b');
+		expect(transport.calls.map(formatCall).filter((call) => call.startsWith('POST')).length).to.equal(0);
+	});
+
+	it('Do not quote again when requote is disabled or the error is unrelated', async () => {
+		const transport = createTransport(
+			[createQuote('a', 100, 50), createQuote('b', 100, 50)],
+			[[400, { message: 'Token is expired' }], [400, { message: 'Insufficient balance' }]]
+		);
+		const client = new HollaEx({ transport });
+
+		const expired = await catchError(client.quickTrade('usdt', 'xht', { spendingAmount: 100, requote: false }));
+		expect(expired).to.be.instanceOf(HollaEx.ValidationError);
+		const insufficient = await catchError(client.quickTrade('usdt', 'xht', { spendingAmount: 100 }));
+		expect(insufficient).to.be.instanceOf(HollaEx.InsufficientBalanceError);
+		expect(transport.calls.map(formatCall).filter((call) => call.startsWith('GET')).length).to.equal(2);
+	});
+
+	it('Reject invalid parameters', async () => {
+		const client = new HollaEx({ transport: createTransport([]) });
+		const both = await catchError(client.quickTrade('usdt', 'xht', { spendingAmount: 1, receivingAmount: 1 }));
+		expect(both).to.be.instanceOf(HollaEx.ValidationError);
+		const none = await catchError(client.quickTrade('usdt', 'xht', {}));
+		expect(none).to.be.instanceOf(HollaEx.ValidationError);
+		const price = await catchError(client.quickTrade('usdt', 'xht', { spendingAmount: 1, maxPrice: -1 }));
+		expect(price).to.be.instanceOf(HollaEx.ValidationError);
+	});
+});
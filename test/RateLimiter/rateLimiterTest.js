@@ -0,0 +1,68 @@
+const { expect } = require('chai');
+const HollaEx = require('../../index');
+const { TokenBucket, RateLimiter } = require('../../rateLimiter');
+const { createFakeTransport, respond } = require('../helpers');
+
+describe('Rate limiter', () => {
+	describe('TokenBucket', () => {
+		it('Queue calls once the budget is spent', async () => {
+			const bucket = new TokenBucket({ limit: 2, interval: 100 });
+			const start = Date.now();
+			const pending = [bucket.acquire(), bucket.acquire(), bucket.acquire(), bucket.acquire()];
+			expect(bucket.queueDepth).to.equal(2);
+			expect(bucket.waitTime).to.be.above(0);
+			await Promise.all(pending);
+			expect(Date.now() - start).to.be.at.least(90);
+			expect(bucket.queueDepth).to.equal(0);
+		});
+	});
+
+	describe('RateLimiter', () => {
+		it('Pause a budget when the server reports it is exhausted', () => {
+			const limiter = new RateLimiter();
+			limiter.update('private', { statusCode: 200, headers: { 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': '1' } });
+			expect(limiter.getStatus().private.waitTime).to.be.above(500);
+			expect(limiter.getStatus().public.waitTime).to.equal(0);
+			clearTimeout(limiter.buckets.private.timer);
+		});
+	});
+
+	describe('#rateLimit option', () => {
+		it('Use separate budgets for public, private and admin endpoints', async () => {
+			const transport = createFakeTransport(() => respond('{}'));
+			const client = new HollaEx({
+				apiKey: 'key',
+				apiSecret: 'secret',
+				transport,
+				rateLimit: { public: { limit: 1, interval: 100 } }
+			});
+			const start = Date.now();
+			await Promise.all([client.getTickers(), client.getTickers(), client.getBalance(), client.getExchangeInfo()]);
+			const elapsed = (path) => transport.calls
+				.filter((call) => call.url.endsWith(path))
+				.map((call) => call.sentAt - start);
+			const tickers = elapsed('/tickers');
+			expect(transport.calls.length).to.equal(4);
+			expect(Math.max(tickers[0], ...elapsed('/user/balance'), ...elapsed('/admin/exchange'))).to.be.below(50);
+			expect(tickers[1]).to.be.at.least(90);
+		});
+
+		it('Sign queued requests when they are sent', async () => {
+			const transport = createFakeTransport(() => respond('{}'));
+			const client = new HollaEx({
+				apiKey: 'key',
+				apiSecret: 'secret',
+				transport,
+				rateLimit: { private: { limit: 1, interval: 1100 } }
+			});
+			await Promise.all([client.getBalance(), client.getBalance()]);
+			const [first, second] = transport.calls.map((call) => call.headers['api-expires']);
+			expect(second).to.be.at.least(first + 1);
+		});
+
+		it('Report no status when rate limiting is disabled', () => {
+			const client = new HollaEx({ transport: createFakeTransport(() => respond('{}')) });
+			expect(client.getRateLimitStatus()).to.equal(null);
+		});
+	});
+});
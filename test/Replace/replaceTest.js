@@ -0,0 +1,89 @@
+const { expect } = require('chai');
+const HollaEx = require('../../index');
+
+const createClient = () => {
+	const client = new HollaEx({
+		transport: { request: () => Promise.reject(new Error('offline')) },
+		mode: 'paper',
+		paper: { balances: { usdt: 1000, xht: 100 }, fees: { maker: 0, taker: 0 } }
+	});
+	client.paper.updateOrderbook('xht-usdt', { bids: [[0.9, 100]], asks: [[1.1, 100]] });
+	return client;
+};
+
+describe('Replace order', () => {
+	it('Cancel the order and place it again at the new price', async () => {
+		const client = createClient();
+		const original = await client.createOrder('xht-usdt', 'buy', 10, 'limit', 1, { meta: { note: 'mm' } });
+		const result = await client.replaceOrder(original.id, { price: 1.05 });
+		expect(result).to.include({ replaced: true, race: null, filled: 0, remaining: 10 });
+		expect(result.canceledOrder.status).to.equal('canceled');
+		expect(result.order).to.include({ price: 1.05, size: 10, side: 'buy', status: 'new' });
+		expect(result.order.meta.note).to.equal('mm');
+		expect(result.order.meta.client_order_id).to.not.equal(original.meta.client_order_id);
+		expect((await client.getOrders({ open: true })).count).to.equal(1);
+	});
+
+	it('Keep the stop price unless a new one is given', async () => {
+		const client = createClient();
+		const original = await client.createOrder('xht-usdt', 'sell', 10, 'limit', 0.8, { stop: 0.85 });
+		const kept = await client.replaceOrder(original.id, { price: 0.82 });
+		expect(kept.order).to.include({ price: 0.82, stop: 0.85, status: 'new' });
+
+		const moved = await client.replaceOrder(kept.order.id, { stop: 0.8 });
+		expect(moved.order).to.include({ price: 0.82, stop: 0.8, status: 'new' });
+	});
+
+	it('Only place the size left after a partial fill', async () => {
+		const client = createClient();
+		const original = await client.createOrder('xht-usdt', 'sell', 10, 'limit', 1);
+		client.paper.addTrade('xht-usdt', { price: 1, size: 3 });
+		const result = await client.replaceOrder(original.id, { price: 1.02, size: 12 });
+		expect(result).to.include({ replaced: true, race: 'partial', filled: 3, remaining: 9 });
+		expect(result.order.size).to.equal(9);
+	});
+
+	it('Report an order that filled before the cancel', async () => {
+		const client = createClient();
+		const original = await client.createOrder('xht-usdt', 'sell', 10, 'limit', 1);
+		client.paper.addTrade('xht-usdt', { price: 1, size: 10 });
+		const result = await client.replaceOrder(original.id, { price: 1.02 });
+		expect(result).to.include({ replaced: false, race: 'filled', filled: 10, remaining: 0, order: null });
+		expect((await client.getOrders({ open: true })).count).to.equal(0);
+	});
+
+	it('Never place the new order while the old one may still be open', async () => {
+		const order = { id: 'a', symbol: 'xht-usdt', side: 'buy', size: 1, type: 'limit', price: 1, filled: 0, status: 'new' };
+		const posts = [];
+		const transport = {
+			request: (req) => {
+				if (req.method === 'POST') {
+					posts.push(req);
+				}
+				// The cancel response and the order lookup both show the order as open
+				return Promise.resolve({ statusCode: 200, headers: {}, body: order });
+			}
+		};
+		const client = new HollaEx({ transport });
+		try {
+			await client.replaceOrder('a', { price: 2 });
+			expect.fail('should have rejected');
+		} catch (err) {
+			expect(err).to.be.instanceOf(HollaEx.HollaExError);
+			expect(err.message).to.match(/still open/);
+		}
+
+		const error = new Error('socket hang up');
+		error.code = 'ECONNRESET';
+		transport.request = (req) => req.method === 'DELETE'
+			? Promise.reject(error)
+			: Promise.resolve({ statusCode: 200, headers: {}, body: order });
+		try {
+			await client.replaceOrder('a', { price: 2 });
+			expect.fail('should have rejected');
+		} catch (err) {
+			expect(err).to.be.instanceOf(HollaEx.NetworkError);
+		}
+		expect(posts.length).to.equal(0);
+	});
+});
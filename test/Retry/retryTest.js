@@ -0,0 +1,157 @@
+const { expect } = require('chai');
+const HollaEx = require('../../index');
+const { createRetryPolicy, getRetryDelay } = require('../../retry');
+const { createFakeTransport } = require('../helpers');
+
+const networkError = (code) => {
+	const error = new Error(code);
+	error.code = code;
+	return error;
+};
+
+describe('Retry', () => {
+	describe('#sendRequest()', () => {
+		it('Retry GET requests on transient errors and re-sign each attempt', async () => {
+			const transport = createFakeTransport([
+				networkError('ECONNRESET'),
+				{ statusCode: 502, headers: {}, body: 'Bad Gateway' },
+				{ statusCode: 200, headers: {}, body: '{"usdt_balance":1}' }
+			]);
+			const client = new HollaEx({
+				apiKey: 'key',
+				apiSecret: 'secret',
+				transport,
+				retry: { baseDelay: 1 }
+			});
+			const result = await client.getBalance();
+			expect(result).to.deep.equal({ usdt_balance: 1 });
+			expect(transport.calls.length).to.equal(3);
+			transport.calls.forEach((call) => {
+				expect(call.headers).to.have.property('api-signature');
+				expect(call.headers).to.have.property('api-expires');
+			});
+		});
+
+		it('Stop after maxAttempts', async () => {
+			const transport = createFakeTransport([
+				{ statusCode: 503, headers: {}, body: '' },
+				{ statusCode: 503, headers: {}, body: '' }
+			]);
+			const client = new HollaEx({ transport, retry: { maxAttempts: 2, baseDelay: 1 } });
+			try {
+				await client.getTickers();
+				expect.fail('should have rejected');
+			} catch (err) {
+				expect(err.status).to.equal(503);
+				expect(transport.calls.length).to.equal(2);
+			}
+		});
+
+		it('Do not retry orders unless enabled', async () => {
+			const transport = createFakeTransport([
+				{ statusCode: 502, headers: {}, body: '' }
+			]);
+			const client = new HollaEx({ transport, retry: { baseDelay: 1 } });
+			try {
+				await client.createOrder('xht-usdt', 'buy', 1, 'market');
+				expect.fail('should have rejected');
+			} catch (err) {
+				expect(err.status).to.equal(502);
+				expect(transport.calls.length).to.equal(1);
+			}
+		});
+
+		it('Never retry POST requests that are not idempotent', async () => {
+			const transport = createFakeTransport([
+				{ statusCode: 502, headers: {}, body: '' }
+			]);
+			const client = new HollaEx({ transport, retry: { baseDelay: 1, methods: ['GET', 'POST'] } });
+			try {
+				await client.makeWithdrawal('usdt', 10, 'address');
+				expect.fail('should have rejected');
+			} catch (err) {
+				expect(err.status).to.equal(502);
+				expect(transport.calls.length).to.equal(1);
+			}
+		});
+
+		it('Retry POST requests marked idempotent', async () => {
+			const transport = createFakeTransport([
+				{ statusCode: 502, headers: {}, body: '' },
+				{ statusCode: 200, headers: {}, body: '{}' }
+			]);
+			const client = new HollaEx({ transport, retry: { baseDelay: 1, methods: ['GET', 'POST'] } });
+			await client.sendRequest('POST', '/v2/check', {}, { data: {}, idempotent: true });
+			expect(transport.calls.length).to.equal(2);
+		});
+
+		it('Retry orders when enabled', async () => {
+			const transport = createFakeTransport([
+				{ statusCode: 502, headers: {}, body: '' },
+				{ statusCode: 200, headers: {}, body: '{"count":0,"data":[]}' },
+				{ statusCode: 200, headers: {}, body: '{"id":"1"}' }
+			]);
+			const client = new HollaEx({ transport, retry: { baseDelay: 1, orders: true } });
+			const result = await client.createOrder('xht-usdt', 'buy', 1, 'market');
+			expect(result).to.deep.equal({ id: '1' });
+			expect(transport.calls.map((call) => call.method)).to.deep.equal(['POST', 'GET', 'POST']);
+			expect(transport.calls[2].body).to.equal(transport.calls[0].body);
+		});
+
+		it('Return the existing order instead of submitting it twice', async () => {
+			const order = { id: '1', symbol: 'xht-usdt', meta: { client_order_id: 'my-order' } };
+			const transport = createFakeTransport([
+				networkError('ETIMEDOUT'),
+				{ statusCode: 200, headers: {}, body: { count: 1, data: [order] } }
+			]);
+			const client = new HollaEx({ transport, retry: { baseDelay: 1, orders: true } });
+			const result = await client.createOrder('xht-usdt', 'buy', 1, 'market', 0, { clientOrderId: 'my-order' });
+			expect(result).to.deep.equal(order);
+			expect(transport.calls.length).to.equal(2);
+			expect(transport.calls[1].url).to.match(/\/orders\?&symbol=xht-usdt&limit=50&page=1&order_by=created_at&order=desc$/);
+		});
+
+		it('Surface the original error when the lookup fails', async () => {
+			const transport = createFakeTransport([
+				{ statusCode: 504, headers: {}, body: '' },
+				{ statusCode: 401, headers: {}, body: '' }
+			]);
+			const client = new HollaEx({ transport, retry: { baseDelay: 1, orders: true } });
+			try {
+				await client.createOrder('xht-usdt', 'buy', 1, 'market');
+				expect.fail('should have rejected');
+			} catch (err) {
+				expect(err.status).to.equal(504);
+				expect(transport.calls.length).to.equal(2);
+			}
+		});
+
+		it('Do not retry client errors', async () => {
+			const transport = createFakeTransport([
+				{ statusCode: 400, headers: {}, body: '' }
+			]);
+			const client = new HollaEx({ transport, retry: { baseDelay: 1 } });
+			try {
+				await client.getTicker();
+				expect.fail('should have rejected');
+			} catch (err) {
+				expect(transport.calls.length).to.equal(1);
+			}
+		});
+	});
+
+	describe('#getRetryDelay()', () => {
+		it('Grow exponentially up to maxDelay', () => {
+			const policy = createRetryPolicy({ baseDelay: 100, maxDelay: 300, jitter: 0 });
+			expect(getRetryDelay(policy, 1, {})).to.equal(100);
+			expect(getRetryDelay(policy, 2, {})).to.equal(200);
+			expect(getRetryDelay(policy, 3, {})).to.equal(300);
+		});
+
+		it('Honor the Retry-After header', () => {
+			const policy = createRetryPolicy({ baseDelay: 100 });
+			const error = { response: { headers: { 'retry-after': '2' } } };
+			expect(getRetryDelay(policy, 1, error)).to.equal(2000);
+		});
+	});
+});
@@ -0,0 +1,127 @@
+const { expect } = require('chai');
+const HollaEx = require('../../index');
+const { createFakeTransport, respond, formatCall } = require('../helpers');
+
+const createTransport = (withdrawals = []) => createFakeTransport((req, url) => {
+	if (url.pathname === '/v2/ticker') {
+		return respond({ last: 1, close: 1 });
+	}
+	if (url.pathname === '/v2/constants') {
+		return respond({ pairs: { 'xht-usdt': {}, 'btc-usdt': {} } });
+	}
+	if (url.pathname === '/v2/user/withdrawals') {
+		return respond({ count: withdrawals.length, data: withdrawals });
+	}
+	return respond({ message: 'ok' });
+});
+
+const createClient = (risk, transport = createTransport()) => new HollaEx({
+	transport,
+	mode: 'paper',
+	risk,
+	paper: { balances: { usdt: 10000, xht: 50, btc: 1 } }
+});
+
+const expectRiskError = async (promise, limit) => {
+	try {
+		await promise;
+		expect.fail('should have rejected');
+	} catch (err) {
+		expect(err).to.be.instanceOf(HollaEx.RiskLimitError);
+		expect(err.limit).to.equal(limit);
+		return err;
+	}
+};
+
+describe('Risk limits', () => {
+	it('Reject orders above the notional limit', async () => {
+		const client = createClient({ maxNotional: { 'xht-usdt': 100 } });
+		client.paper.updateOrderbook('xht-usdt', { bids: [], asks: [[1, 1000]] });
+		const err = await expectRiskError(client.createOrder('xht-usdt', 'buy', 200, 'limit', 0.99), 'maxNotional');
+		expect(err.value).to.equal(198);
+		expect(err.threshold).to.equal(100);
+
+		await expectRiskError(client.createOrder('xht-usdt', 'buy', 101, 'market'), 'maxNotional');
+		await client.createOrder('xht-usdt', 'buy', 100, 'market');
+		await client.createOrder('btc-usdt', 'buy', 0.5, 'limit', 1000);
+	});
+
+	it('Limit the open orders per symbol and the position per asset', async () => {
+		const client = createClient({ maxOpenOrders: 2, maxPosition: { xht: 60 } });
+		await client.createOrder('xht-usdt', 'buy', 5, 'limit', 0.5);
+		await client.createOrder('xht-usdt', 'sell', 5, 'limit', 2);
+		await expectRiskError(client.createOrder('xht-usdt', 'sell', 5, 'limit', 2), 'maxOpenOrders');
+
+		await client.cancelAllOrders('xht-usdt');
+		await expectRiskError(client.createOrder('xht-usdt', 'buy', 11, 'limit', 0.5), 'maxPosition');
+		await client.createOrder('xht-usdt', 'buy', 10, 'limit', 0.5);
+	});
+
+	it('Count the orders of a batch still in flight', async () => {
+		const client = createClient({ maxOpenOrders: 2, maxPosition: { btc: 1.2 } });
+		const ladder = [0.5, 0.6, 0.7, 0.8, 0.9, 0.95].map((price) => ({ symbol: 'xht-usdt', side: 'buy', size: 1, type: 'limit', price }));
+		const results = await client.createOrders(ladder);
+		expect(results.filter((result) => result.success).length).to.equal(2);
+		results.filter((result) => !result.success).forEach((result) => {
+			expect(result.error.limit).to.equal('maxOpenOrders');
+		});
+		expect((await client.getOrders({ symbol: 'xht-usdt', open: true })).count).to.equal(2);
+
+		client.paper.updateOrderbook('btc-usdt', { bids: [], asks: [[100, 10]] });
+		const buys = await client.createOrders([0.1, 0.1, 0.1].map((size) => ({ symbol: 'btc-usdt', side: 'buy', size, type: 'market' })));
+		expect(buys.map((result) => result.success)).to.deep.equal([true, true, false]);
+	});
+
+	it('Reject limit prices outside the band around the ticker', async () => {
+		const client = createClient({ priceBand: 0.05 });
+		const err = await expectRiskError(client.createOrder('xht-usdt', 'sell', 1, 'limit', 0.9), 'priceBand');
+		expect(err.value).to.equal(0.1);
+		await client.createOrder('xht-usdt', 'sell', 1, 'limit', 1.04);
+	});
+
+	it('Cap the amount withdrawn per day', async () => {
+		const transport = createTransport([
+			{ currency: 'btc', amount: 0.6 },
+			{ currency: 'btc', amount: 5, rejected: true }
+		]);
+		const client = new HollaEx({ transport, risk: { dailyWithdrawal: { btc: 1 } } });
+		await expectRiskError(client.makeWithdrawal('btc', 0.5, 'address'), 'dailyWithdrawal');
+		expect(transport.calls.map(formatCall)).to.not.include('POST /v2/user/withdrawal');
+
+		await client.makeWithdrawal('btc', 0.4, 'address');
+		await client.makeWithdrawal('eth', 100, 'address');
+		expect(transport.calls.map(formatCall).filter((call) => call === 'POST /v2/user/withdrawal').length).to.equal(2);
+	});
+
+	it('Count withdrawals still in flight against the daily cap', async () => {
+		const withdrawals = [];
+		const transport = createFakeTransport((req) => {
+			if (req.method === 'POST') {
+				withdrawals.push({ ...JSON.parse(req.body) });
+				return respond({ message: 'ok' });
+			}
+			return respond({ count: withdrawals.length, data: withdrawals });
+		});
+		const client = new HollaEx({ transport, risk: { dailyWithdrawal: { btc: 1 } } });
+		const results = await Promise.all([
+			client.makeWithdrawal('btc', 0.6, 'address').then(() => true, () => false),
+			client.makeWithdrawal('btc', 0.6, 'address').then(() => true, () => false)
+		]);
+		expect(results).to.deep.equal([true, false]);
+		expect(withdrawals.length).to.equal(1);
+	});
+
+	it('Cancel every symbol and block orders with the kill switch', async () => {
+		const client = createClient();
+		await client.createOrder('xht-usdt', 'buy', 1, 'limit', 0.5);
+		await client.createOrder('btc-usdt', 'sell', 0.1, 'limit', 50000);
+
+		const results = await client.killSwitch();
+		expect(results.map((result) => `${result.symbol}:${result.orders.length}`)).to.deep.equal(['xht-usdt:1', 'btc-usdt:1']);
+		expect((await client.getOrders({ open: true })).count).to.equal(0);
+
+		await expectRiskError(client.createOrder('xht-usdt', 'buy', 1, 'limit', 0.5), 'killSwitch');
+		client.resetKillSwitch();
+		await client.createOrder('xht-usdt', 'buy', 1, 'limit', 0.5);
+	});
+});
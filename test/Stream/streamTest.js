@@ -0,0 +1,117 @@
+const EventEmitter = require('events');
+const WebSocket = require('ws');
+const { expect } = require('chai');
+const HollaEx = require('../../index');
+const { TopicStream } = require('../../stream');
+
+const createFakeClient = () => {
+	const client = new EventEmitter();
+	client.released = [];
+	client.releaseStream = (event) => client.released.push(event);
+	return client;
+};
+
+const trade = (symbol, price) => ({ topic: 'trade', action: 'insert', symbol, data: [{ price }] });
+
+describe('Streams', () => {
+	describe('TopicStream', () => {
+		it('Yield buffered messages of the symbol in order', async () => {
+			const client = createFakeClient();
+			const stream = new TopicStream(client, 'trade:xht-usdt');
+			client.emit('trade', trade('xht-usdt', 1));
+			client.emit('trade', trade('btc-usdt', 2));
+			client.emit('trade', trade('xht-usdt', 3));
+
+			const prices = [];
+			for await (const message of stream) {
+				prices.push(message.data[0].price);
+				if (prices.length === 2) {
+					break;
+				}
+			}
+			expect(prices).to.deep.equal([1, 3]);
+			expect(client.released).to.deep.equal(['trade:xht-usdt']);
+			expect(client.listenerCount('trade')).to.equal(0);
+		});
+
+		it('Apply the overflow policy when the buffer is full', async () => {
+			const client = createFakeClient();
+			const oldest = new TopicStream(client, 'trade', { bufferSize: 2, overflow: 'dropOldest' });
+			const newest = new TopicStream(client, 'trade', { bufferSize: 2, overflow: 'dropNewest' });
+			const failing = new TopicStream(client, 'trade', { bufferSize: 2, overflow: 'error' });
+			[1, 2, 3].forEach((price) => client.emit('trade', trade('xht-usdt', price)));
+
+			expect(oldest.buffer.map((message) => message.data[0].price)).to.deep.equal([2, 3]);
+			expect(newest.buffer.map((message) => message.data[0].price)).to.deep.equal([1, 2]);
+			await failing.next();
+			await failing.next();
+			try {
+				await failing.next();
+				expect.fail('should have thrown');
+			} catch (err) {
+				expect(err).to.be.instanceOf(HollaEx.HollaExError);
+			}
+			oldest.return();
+			newest.return();
+		});
+	});
+
+	describe('#stream()', () => {
+		let server;
+		let client;
+		const received = [];
+
+		before((done) => {
+			server = new WebSocket.Server({ port: 0 }, () => {
+				client = new HollaEx({ wsURL: `ws://127.0.0.1:${server.address().port}` });
+				done();
+			});
+			server.on('connection', (socket) => {
+				socket.on('message', (data) => {
+					const { op, args } = JSON.parse(data);
+					received.push(`${op}:${args[0]}`);
+					if (op === 'subscribe') {
+						[1, 2, 3].forEach((price) => socket.send(JSON.stringify(trade('xht-usdt', price))));
+					} else {
+						socket.send(JSON.stringify({ message: `Unsubscribed from channel ${args[0]}` }));
+					}
+				});
+			});
+		});
+
+		after((done) => {
+			client.wsReconnect = false;
+			client.ws.terminate();
+			server.close(() => done());
+		});
+
+		it('Connect, subscribe and unsubscribe after breaking out of the loop', async () => {
+			const prices = [];
+			for await (const message of client.stream('trade:xht-usdt')) {
+				prices.push(message.data[0].price);
+				if (prices.length === 3) {
+					break;
+				}
+			}
+			expect(prices).to.deep.equal([1, 2, 3]);
+			await new Promise((resolve) => setTimeout(resolve, 20));
+			expect(received).to.deep.equal(['subscribe:trade:xht-usdt', 'unsubscribe:trade:xht-usdt']);
+			expect(client.wsEvents).to.deep.equal([]);
+		});
+
+		it('Wait for a pending reconnect instead of opening another socket', async () => {
+			const reconnecting = new HollaEx();
+			const connects = [];
+			reconnecting.connect = (events) => connects.push(events);
+			reconnecting.wsReconnectTimer = setTimeout(() => {}, 1000);
+
+			const stream = reconnecting.stream('trade:xht-usdt');
+			expect(connects).to.deep.equal([]);
+			expect(reconnecting.wsEvents).to.deep.equal(['trade:xht-usdt']);
+
+			clearTimeout(reconnecting.wsReconnectTimer);
+			await stream.return();
+			expect(reconnecting.wsEvents).to.deep.equal([]);
+		});
+	});
+});
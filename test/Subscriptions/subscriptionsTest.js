@@ -0,0 +1,103 @@
+const WebSocket = require('ws');
+const { expect } = require('chai');
+const HollaEx = require('../../index');
+
+describe('Subscriptions', () => {
+	let server;
+	let client;
+
+	beforeEach((done) => {
+		server = new WebSocket.Server({ port: 0 }, () => {
+			client = new HollaEx({
+				wsURL: `ws://127.0.0.1:${server.address().port}`,
+				subscribeTimeout: 50
+			});
+			done();
+		});
+
+		server.on('connection', (socket) => {
+			socket.on('message', (data) => {
+				const { op, args } = JSON.parse(data);
+				const [topic, symbol] = args[0].split(':');
+				if (op === 'unsubscribe') {
+					socket.send(JSON.stringify({ message: `Unsubscribed from channel ${args[0]}` }));
+				} else if (topic === 'order') {
+					socket.send(JSON.stringify({ message: 'Not authorized' }));
+				} else if (topic === 'trade') {
+					socket.send(JSON.stringify({ topic, action: 'partial', symbol, data: [] }));
+				}
+			});
+		});
+	});
+
+	afterEach((done) => {
+		client.wsReconnect = false;
+		if (client.ws) {
+			client.ws.terminate();
+		}
+		server.close(() => done());
+	});
+
+	const connect = () => new Promise((resolve) => {
+		client.once('open', resolve);
+		client.connect([]);
+	});
+
+	it('Resolve once the first partial arrives and track the active topic', async () => {
+		await connect();
+		await client.subscribe(['trade:xht-usdt']);
+		expect(client.wsEvents).to.deep.equal(['trade:xht-usdt']);
+		expect(client.isSubscribed('trade:xht-usdt')).to.equal(true);
+
+		await client.unsubscribe(['trade:xht-usdt']);
+		expect(client.isSubscribed('trade:xht-usdt')).to.equal(false);
+	});
+
+	it('Reject when the server answers with an error', async () => {
+		await connect();
+		try {
+			await client.subscribe(['order']);
+			expect.fail('should have rejected');
+		} catch (err) {
+			expect(err).to.be.instanceOf(HollaEx.SubscriptionError);
+			expect(err.message).to.equal('Not authorized');
+			expect(err.topic).to.equal('order');
+			expect(client.isSubscribed('order')).to.equal(false);
+		}
+	});
+
+	it('Reject when the server does not answer in time', async () => {
+		await connect();
+		try {
+			await client.subscribe(['wallet']);
+			expect.fail('should have rejected');
+		} catch (err) {
+			expect(err).to.be.instanceOf(HollaEx.SubscriptionError);
+			expect(err.message).to.match(/Timed out/);
+		}
+	});
+
+	it('Do not leave an unhandled rejection when the confirmation is not awaited', async () => {
+		const unhandled = [];
+		const onUnhandled = (reason) => unhandled.push(reason);
+		process.on('unhandledRejection', onUnhandled);
+		try {
+			await connect();
+			client.subscribe(['wallet']);
+			await new Promise((resolve) => setTimeout(resolve, 100));
+			expect(client.isSubscribed('wallet')).to.equal(false);
+			expect(unhandled).to.deep.equal([]);
+		} finally {
+			process.removeListener('unhandledRejection', onUnhandled);
+		}
+	});
+
+	it('Reject when the websocket is not connected', async () => {
+		try {
+			await client.subscribe(['trade']);
+			expect.fail('should have rejected');
+		} catch (err) {
+			expect(err.message).to.equal('Websocket not connected');
+		}
+	});
+});
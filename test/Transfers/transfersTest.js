@@ -0,0 +1,114 @@
+const { expect } = require('chai');
+const HollaEx = require('../../index');
+const { getTransferStatus } = require('../../transfers');
+const { createFakeTransport, respond, formatCall, catchError } = require('../helpers');
+
+const createTransport = (responses = {}) => createFakeTransport((req, url) => {
+	const pending = responses[url.pathname] || [];
+	const data = pending.length > 1 ? pending.shift() : pending[0] || [];
+	return respond({ count: data.length, data });
+});
+
+const withdrawal = (status) => ({
+	id: 7,
+	currency: 'btc',
+	amount: 0.1,
+	address: 'address',
+	transaction_id: 'tx',
+	created_at: new Date().toISOString(),
+	status: false,
+	processing: false,
+	dismissed: false,
+	rejected: false,
+	...status
+});
+
+const sendTransfer = (client, topic, data) => {
+	client.handleMessage(JSON.stringify({ topic, action: 'insert', user_id: 1, data }));
+};
+
+describe('Transfer tracker', () => {
+	it('Normalize REST and websocket statuses', () => {
+		expect(getTransferStatus(withdrawal())).to.equal('pending');
+		expect(getTransferStatus(withdrawal({ processing: true }))).to.equal('processing');
+		expect(getTransferStatus(withdrawal({ status: true }))).to.equal('completed');
+		expect(getTransferStatus(withdrawal({ dismissed: true }))).to.equal('rejected');
+		expect(getTransferStatus({ status: 'COMPLETED' })).to.equal('completed');
+		expect(getTransferStatus({ status: 'REJECTED' })).to.equal('rejected');
+		expect(getTransferStatus({ status: 'PENDING' })).to.equal('pending');
+	});
+
+	it('Resolve waitForWithdrawal from the websocket and emit each transition', async () => {
+		const transport = createTransport({ '/v2/user/withdrawals': [[withdrawal()]] });
+		const client = new HollaEx({ transport });
+		const tracker = await client.createTransferTracker({ pollInterval: 0 });
+		const transitions = [];
+		tracker.on('statusChange', (transfer, previousStatus) => transitions.push(`${previousStatus}>${transfer.status}`));
+
+		const wait = tracker.waitForWithdrawal(7, { timeout: 1000 });
+		await new Promise((resolve) => setImmediate(resolve));
+		sendTransfer(client, 'withdrawal', { id: 7, transaction_id: 'tx', currency: 'btc', amount: 0.1, status: 'PROCESSING' });
+		sendTransfer(client, 'withdrawal', { id: 8, transaction_id: 'other', currency: 'btc', amount: 1, status: 'COMPLETED' });
+		sendTransfer(client, 'withdrawal', { id: 7, transaction_id: 'tx', currency: 'btc', amount: 0.1, status: 'COMPLETED' });
+
+		const completed = await wait;
+		expect(completed.status).to.equal('completed');
+		expect(completed.transfer).to.include({ id: 7, amount: 0.1 });
+		expect(transitions).to.deep.equal(['null>pending', 'pending>processing', 'processing>completed']);
+		expect(formatCall(transport.calls[0])).to.match(/^GET \/v2\/user\/withdrawals\?/);
+		tracker.stop();
+	});
+
+	it('Poll REST by transaction id until the deposit completes', async () => {
+		const transport = createTransport({
+			'/v2/user/deposits': [
+				[],
+				[withdrawal({ processing: true })],
+				[withdrawal({ status: true })]
+			]
+		});
+		const client = new HollaEx({ transport });
+		const tracker = await client.createTransferTracker({ pollInterval: 5 });
+		const statuses = [];
+		tracker.on('statusChange', (transfer) => statuses.push(transfer.status));
+
+		const deposit = await tracker.waitForDeposit({ transactionId: 'tx', currency: 'btc' }, { timeout: 1000 });
+		expect(deposit.status).to.equal('completed');
+		expect(statuses).to.deep.equal(['processing', 'completed']);
+		expect(formatCall(transport.calls[0])).to.include('transaction_id=tx');
+		tracker.stop();
+	});
+
+	it('Match withdrawals by address made after tracking started', async () => {
+		const old = withdrawal({ id: 1, status: true, created_at: '2024-01-01T00:00:00.000Z' });
+		const transport = createTransport({ '/v2/user/withdrawals': [[old]] });
+		const client = new HollaEx({ transport });
+		const tracker = await client.createTransferTracker({ pollInterval: 0 });
+
+		const view = tracker.track('withdrawal', { address: 'address', currency: 'btc' });
+		await tracker.poll();
+		expect(view.status).to.equal(null);
+
+		sendTransfer(client, 'withdrawal', { id: 9, address: 'address', currency: 'btc', status: 'REJECTED' });
+		const err = await catchError(tracker.waitForWithdrawal({ address: 'address', currency: 'btc' }));
+		expect(err).to.be.instanceOf(HollaEx.HollaExError);
+		expect(err.transfer.transfer.id).to.equal(9);
+		expect(tracker.getTransfers().map((transfer) => transfer.status)).to.deep.equal(['rejected']);
+		tracker.stop();
+	});
+
+	it('Reject on timeout, on stop and for invalid parameters', async () => {
+		const client = new HollaEx({ transport: createTransport() });
+		const tracker = await client.createTransferTracker({ pollInterval: 0 });
+
+		const timeout = await catchError(tracker.waitForWithdrawal(1, { timeout: 10 }));
+		expect(timeout.message).to.match(/Timed out/);
+
+		const waiting = tracker.waitForWithdrawal(2);
+		tracker.stop();
+		expect((await catchError(waiting)).message).to.match(/stopped/);
+
+		expect(await catchError(tracker.waitFor('transfer', { id: 1 }))).to.be.instanceOf(HollaEx.ValidationError);
+		expect(() => tracker.track('deposit', {})).to.throw(HollaEx.ValidationError);
+	});
+});
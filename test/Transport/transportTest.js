@@ -0,0 +1,118 @@
+const http = require('http');
+const { expect } = require('chai');
+const HollaEx = require('../../index');
+const { createFakeTransport } = require('../helpers');
+
+describe('Transport', () => {
+	describe('#transport option', () => {
+		it('Send requests through the injected transport', async () => {
+			const transport = createFakeTransport([
+				{ statusCode: 200, headers: {}, body: '{"last":1}' }
+			]);
+			const client = new HollaEx({ apiURL: 'https://api.test', transport });
+			const result = await client.getTicker('xht-usdt');
+			expect(result).to.deep.equal({ last: 1 });
+			expect(transport.calls[0].method).to.equal('GET');
+			expect(transport.calls[0].url).to.equal('https://api.test/v2/ticker?symbol=xht-usdt');
+		});
+
+		it('Serialize the request body and sign it', async () => {
+			const transport = createFakeTransport([
+				{ statusCode: 200, headers: {}, body: { id: 'abc' } }
+			]);
+			const client = new HollaEx({
+				apiURL: 'https://api.test',
+				apiKey: 'key',
+				apiSecret: 'secret',
+				transport
+			});
+			const result = await client.createOrder('xht-usdt', 'buy', 1, 'limit', 0.1);
+			expect(result).to.deep.equal({ id: 'abc' });
+			const body = JSON.parse(transport.calls[0].body);
+			expect(body).to.deep.include({
+				symbol: 'xht-usdt',
+				side: 'buy',
+				size: 1,
+				type: 'limit',
+				price: 0.1
+			});
+			expect(body.meta.client_order_id).to.match(/^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+			expect(transport.calls[0].headers).to.have.property('api-signature');
+		});
+
+		it('Reject non 2xx responses with the status code and body', async () => {
+			const transport = createFakeTransport([
+				{ statusCode: 400, headers: {}, body: '{"message":"Invalid symbol"}' }
+			]);
+			const client = new HollaEx({ apiURL: 'https://api.test', transport });
+			try {
+				await client.getTicker();
+				expect.fail('should have rejected');
+			} catch (err) {
+				expect(err.statusCode).to.equal(400);
+				expect(err.response.body.message).to.equal('Invalid symbol');
+			}
+		});
+	});
+
+	describe('#createTransport()', () => {
+		let server;
+		let url;
+
+		before((done) => {
+			server = http.createServer((req, res) => {
+				let body = '';
+				req.on('data', (chunk) => (body += chunk));
+				req.on('end', () => {
+					res.setHeader('content-type', 'application/json');
+					res.end(JSON.stringify({ method: req.method, path: req.url, body }));
+				});
+			});
+			server.listen(0, '127.0.0.1', () => {
+				url = `http://127.0.0.1:${server.address().port}`;
+				done();
+			});
+		});
+
+		after((done) => {
+			server.close(done);
+		});
+
+		it('Send requests with the native http module', async () => {
+			const agent = new http.Agent({ keepAlive: true });
+			const client = new HollaEx({
+				apiURL: url,
+				transport: HollaEx.createTransport({ agent })
+			});
+			const result = await client.getTrades({ symbol: 'xht-usdt' });
+			expect(result).to.deep.equal({ method: 'GET', path: '/v2/trades?symbol=xht-usdt', body: '' });
+			agent.destroy();
+		});
+
+		it('Retry a GET request that timed out', async () => {
+			let requests = 0;
+			const slowServer = http.createServer((req, res) => {
+				requests++;
+				// Leave the first request unanswered so the socket timeout fires
+				if (requests > 1) {
+					res.setHeader('content-type', 'application/json');
+					res.end('{"last":1}');
+				}
+			});
+			await new Promise((resolve) => slowServer.listen(0, '127.0.0.1', resolve));
+
+			const client = new HollaEx({
+				apiURL: `http://127.0.0.1:${slowServer.address().port}`,
+				transport: HollaEx.createTransport({ timeout: 50 }),
+				retry: { baseDelay: 1 }
+			});
+			try {
+				const result = await client.getTicker('xht-usdt');
+				expect(result).to.deep.equal({ last: 1 });
+				expect(requests).to.equal(2);
+			} finally {
+				slowServer.close();
+			}
+		});
+	});
+});
@@ -0,0 +1,64 @@
+const { expect } = require('chai');
+const HollaEx = require('../../index');
+const { isMultipleOf, roundToIncrement } = require('../../validation');
+const { createFakeTransport, respond, catchError } = require('../helpers');
+
+const CONSTANTS = {
+	pairs: {
+		'xht-usdt': {
+			min_size: 1,
+			max_size: 1000,
+			min_price: 0.01,
+			max_price: 100,
+			increment_size: 0.1,
+			increment_price: 0.001
+		}
+	}
+};
+
+const createTransport = () => createFakeTransport((req) => {
+	return respond(req.url.endsWith('/constants') ? CONSTANTS : JSON.parse(req.body));
+});
+
+describe('Order validation', () => {
+	it('Reject invalid orders locally with a ValidationError', async () => {
+		const transport = createTransport();
+		const client = new HollaEx({ transport, validateOrders: true });
+		const orders = [
+			['btc-usdt', 'buy', 1, 'limit', 1, /not a valid symbol/],
+			['xht-usdt', 'buy', 0.5, 'limit', 1, /at least 1/],
+			['xht-usdt', 'buy', 1, 'limit', 1.0005, /multiple of 0.001/],
+			['xht-usdt', 'buy', 1, 'limit', undefined, /price is required/]
+		];
+
+		for (let [symbol, side, size, type, price, message] of orders) {
+			const err = await catchError(client.createOrder(symbol, side, size, type, price));
+			expect(err).to.be.instanceOf(HollaEx.ValidationError);
+			expect(err.message).to.match(message);
+		}
+
+		expect(transport.calls.filter((call) => call.method === 'POST').length).to.equal(0);
+		expect(transport.calls.length).to.equal(1);
+	});
+
+	it('Round size and price when requested', async () => {
+		const transport = createTransport();
+		const client = new HollaEx({ transport, validateOrders: { round: true } });
+		const order = await client.createOrder('xht-usdt', 'buy', 1.27, 'limit', 0.30000000000000004);
+		expect(order.size).to.equal(1.2);
+		expect(order.price).to.equal(0.3);
+	});
+
+	it('Send orders unchecked when validation is disabled', async () => {
+		const transport = createTransport();
+		const client = new HollaEx({ transport });
+		const order = await client.createOrder('btc-usdt', 'buy', 0.5, 'limit', 1.0005);
+		expect(order.symbol).to.equal('btc-usdt');
+		expect(transport.calls.length).to.equal(1);
+	});
+
+	it('Compare increments without float errors', () => {
+		expect(isMultipleOf(0.1 + 0.2, 0.1)).to.equal(true);
+		expect(roundToIncrement(0.123456, 0.0001, 'floor')).to.equal(0.1234);
+	});
+});
@@ -2,154 +2,78 @@ const common = require('../common');
 const client = common.client;
 const expect = common.expect;
 const symbolPair = common.symbolPair;
-const sleep = (ms) => {
-	return new Promise((resolve) => setTimeout(resolve, ms));
+
+// Read order updates of the given order until one reaches the status
+const waitForStatus = async (stream, id, status) => {
+	const updates = [];
+	for await (const message of stream) {
+		const orders = [].concat(message.data).filter((order) => order.id === id);
+		updates.push(...orders);
+		if (orders.some((order) => order.status === status)) {
+			return updates;
+		}
+	}
+	return updates;
 };
 
 describe('Socket testing', () => {
-	let socket;
-	this.logs = [];
+	let orders;
 
-	describe('#connect()', () => {
-		it('Create a socket connection', (done) => {
-			socket = client.connect('all');
+	describe('#stream()', () => {
+		it('Stream the order topic', (done) => {
+			orders = client.stream('order');
 			done();
 		});
 	});
 
-	describe('#userUpdate', () => {
+	describe('#order', () => {
 		beforeEach(async () => {
-			await Promise.all([
+			const [balance, orderbook] = await Promise.all([
 				client.getBalance(),
 				client.getOrderbook(symbolPair)
-			]).then(async (result) => {
-				await result.forEach((res, i) => {
-					result[i] = JSON.parse(res);
-				});
-
-				this.balance = result[0];
-				this.orderbook = result[1][symbolPair];
-				this.firstAsk = this.orderbook.asks[0];
-				this.firstBid = this.orderbook.bids[0];
-				this.usdt = this.balance['usdt_available'];
-				this.xht = this.balance['xht_available'];
-
-				await sleep(1000);
-			});
-		});
+			]);
 
-		it('Socket listen for userUpdate events', (done) => {
-			socket.on('userUpdate', (data) => {
-				this.logs.push(data);
-			});
-			done();
+			this.orderbook = orderbook[symbolPair];
+			this.firstAsk = this.orderbook.asks[0];
+			this.firstBid = this.orderbook.bids[0];
+			this.usdt = balance['usdt_available'];
+			this.xht = balance['xht_available'];
 		});
 
 		it('Market maker places a valid order', async () => {
 			if (0.0001 <= this.xht) {
-				await client
-					.createOrder(
-						symbolPair,
-						'sell',
-						0.0001,
-						'limit',
-						this.firstAsk[0] - 1
-					)
-					.then(async (result) => {
-						let data = JSON.parse(result);
-						for (let i = 0; i >= 0 && this.logs.length < 3; i++) {
-							await sleep(500);
-						}
-						expect(this.logs[0]['type']).to.equal('order_queued');
-						expect(this.logs[1]['type']).to.equal('order_added');
-						expect(this.logs[2]['type']).to.equal('order_processed');
-						this.logs.forEach((log) => {
-							expect(log.data.id).to.equal(data.id);
-						});
-						expect(this.logs.length).to.equal(3);
+				const order = await client.createOrder(symbolPair, 'sell', 0.0001, 'limit', this.firstAsk[0] - 1);
+				const added = await waitForStatus(orders, order.id, 'new');
+				expect(added[0].status).to.equal('new');
 
-						await client.cancelOrder(data.id).then(async (result) => {
-							let data = JSON.parse(result);
-							for (let i = 0; i >= 0 && this.logs.length < 4; i++) {
-								await sleep(500);
-							}
-							expect(this.logs[3]['type']).to.equal('order_removed');
-							expect(this.logs[3].data[0].id).to.equal(data.id);
-						});
-					});
+				const canceled = await client.cancelOrder(order.id);
+				const removed = await waitForStatus(orders, order.id, 'canceled');
+				expect(removed[removed.length - 1].id).to.equal(canceled.id);
 			} else {
-				expect.fail('not enough btc available to run test');
+				expect.fail('not enough xht available to run test');
 			}
 		});
 
 		it('Market maker creates sell order significantly larger than largest sell order', async () => {
 			if (0.0001 <= this.xht) {
-				this.logs = [];
-				await client
-					.createOrder(symbolPair, 'sell', 0.0001, 'limit', 50000)
-					.then(async (result) => {
-						let data = JSON.parse(result);
-						for (let i = 0; i >= 0 && this.logs.length < 3; i++) {
-							await sleep(500);
-						}
-						expect(this.logs[0]['type']).to.equal('order_queued');
-						expect(this.logs[1]['type']).to.equal('order_added');
-						expect(this.logs[2]['type']).to.equal('order_processed');
-						this.logs.forEach((log) => {
-							expect(log.data.id).to.equal(data.id);
-						});
-						expect(this.logs.length).to.equal(3);
+				const order = await client.createOrder(symbolPair, 'sell', 0.0001, 'limit', 50000);
+				const added = await waitForStatus(orders, order.id, 'new');
+				expect(added[0].status).to.equal('new');
 
-						await client.cancelOrder(data.id).then(async (result) => {
-							let data = JSON.parse(result);
-							for (let i = 0; i >= 0 && this.logs.length < 4; i++) {
-								await sleep(500);
-							}
-							expect(this.logs[3]['type']).to.equal('order_removed');
-							expect(this.logs[3].data[0].id).to.equal(data.id);
-						});
-					});
+				const canceled = await client.cancelOrder(order.id);
+				const removed = await waitForStatus(orders, order.id, 'canceled');
+				expect(removed[removed.length - 1].id).to.equal(canceled.id);
 			} else {
-				expect.fail('not enough btc available to run test');
+				expect.fail('not enough xht available to run test');
 			}
 		});
 
 		it('Market taker creates an order that is immediately filled', async () => {
 			if (0.0001 * (this.firstBid[0] + 1) <= this.usdt && 0.0001 <= this.xht) {
-				this.logs = [];
-				await client
-					.createOrder(symbolPair, 'buy', 0.0001, 'limit', this.firstBid[0] + 1)
-					.then(async () => {
-						await client
-							.createOrder(
-								symbolPair,
-								'sell',
-								0.0001,
-								'limit',
-								this.firstBid[0] + 1
-							)
-							.then(async (result) => {
-								let data = JSON.parse(result);
-								for (let i = 0; i >= 0 && this.logs.length < 9; i++) {
-									await sleep(500);
-								}
-								const logs = await this.logs.filter((log) =>
-									log.data.id !== undefined
-										? log.data.id === data.id
-										: log.data[0].id === data.id
-								);
-								expect(logs[0]['type']).to.equal('order_queued');
-								expect(logs[1]['type']).to.equal('trade');
-								expect(logs[2]['type']).to.equal('order_filled');
-								expect(logs[3]['type']).to.equal('order_processed');
-								logs.forEach((log) => {
-									log.data.id !== undefined
-										? expect(log.data.id).to.equal(data.id)
-										: expect(log.data[0].id).to.equal(data.id);
-								});
-								expect(logs.length).to.equal(4);
-							});
-					});
+				await client.createOrder(symbolPair, 'buy', 0.0001, 'limit', this.firstBid[0] + 1);
+				const order = await client.createOrder(symbolPair, 'sell', 0.0001, 'limit', this.firstBid[0] + 1);
+				const updates = await waitForStatus(orders, order.id, 'filled');
+				expect(updates[updates.length - 1].filled).to.equal(0.0001);
 			} else {
 				expect.fail('not enough balance available to run test');
 			}
@@ -157,41 +81,11 @@ describe('Socket testing', () => {
 
 		it('Market taker creates an order that is immediately partially filled', async () => {
 			if (0.0001 * (this.firstBid[0] + 1) <= this.usdt && 0.0001 <= this.xht) {
-				this.logs = [];
-				await client
-					.createOrder(symbolPair, 'buy', 0.0001, 'limit', this.firstBid[0] + 1)
-					.then(async () => {
-						await client
-							.createOrder(
-								symbolPair,
-								'sell',
-								0.0002,
-								'limit',
-								this.firstBid[0] + 1
-							)
-							.then(async (result) => {
-								let data = JSON.parse(result);
-								this.currentOrder = data;
-								for (let i = 0; i >= 0 && this.logs.length < 9; i++) {
-									await sleep(500);
-								}
-								const logs = await this.logs.filter((log) =>
-									log.data.id !== undefined
-										? log.data.id === data.id
-										: log.data[0].id === data.id
-								);
-								expect(logs[0]['type']).to.equal('order_queued');
-								expect(logs[1]['type']).to.equal('trade');
-								expect(logs[2]['type']).to.equal('order_partialy_filled');
-								expect(logs[3]['type']).to.equal('order_processed');
-								logs.forEach((log) => {
-									log.data.id !== undefined
-										? expect(log.data.id).to.equal(data.id)
-										: expect(log.data[0].id).to.equal(data.id);
-								});
-								expect(logs.length).to.equal(4);
-							});
-					});
+				await client.createOrder(symbolPair, 'buy', 0.0001, 'limit', this.firstBid[0] + 1);
+				const order = await client.createOrder(symbolPair, 'sell', 0.0002, 'limit', this.firstBid[0] + 1);
+				this.currentOrder = order;
+				const updates = await waitForStatus(orders, order.id, 'pfilled');
+				expect(updates[updates.length - 1].filled).to.equal(0.0001);
 			} else {
 				expect.fail('not enough balance available to run test');
 			}
@@ -199,22 +93,14 @@ describe('Socket testing', () => {
 
 		it('Market taker cancels an order that was partially filled', async () => {
 			if (this.currentOrder !== undefined) {
-				this.logs = [];
-				await client
-					.cancelOrder(this.currentOrder.id)
-					.then(async (result) => {
-						let data = JSON.parse(result);
-						for (let i = 0; i >= 0 && this.logs.length < 1; i++) {
-							await sleep(500);
-						}
-						expect(this.logs[0]['type']).to.equal('order_removed');
-						expect(this.logs[0].data[0].id).to.equal(data.id);
-						this.currentOrder = undefined;
-					})
-					.catch((err) => {
-						expect(err.error).to.include('Order not found');
-						this.currentOrder = undefined;
-					});
+				try {
+					const canceled = await client.cancelOrder(this.currentOrder.id);
+					const removed = await waitForStatus(orders, this.currentOrder.id, 'canceled');
+					expect(removed[removed.length - 1].id).to.equal(canceled.id);
+				} catch (err) {
+					expect(err.message).to.include('Order not found');
+				}
+				this.currentOrder = undefined;
 			} else {
 				expect.fail('not enough balance available to run test');
 			}
@@ -222,35 +108,19 @@ describe('Socket testing', () => {
 
 		it('Market taker creates a market order', async () => {
 			if (0.0001 * (this.firstBid[0] + 1) <= this.usdt && 0.0001 <= this.xht) {
-				this.logs = [];
-				await client
-					.createOrder(symbolPair, 'buy', 0.0001, 'limit', this.firstBid[0] + 1)
-					.then(async () => {
-						await client
-							.createOrder(symbolPair, 'sell', 0.0001, 'market')
-							.then(async (result) => {
-								let data = JSON.parse(result);
-								for (let i = 0; i >= 0 && this.logs.length < 9; i++) {
-									await sleep(500);
-								}
-								const logs = await this.logs.filter((log) =>
-									log.data.id !== undefined
-										? log.data.id === data.id
-										: log.data[0].id === data.id
-								);
-								expect(logs.length).to.equal(4);
-								expect(logs[0]['type']).to.equal('order_queued');
-								expect(logs[1]['type']).to.equal('trade');
-								expect(logs[2]['type']).to.equal('order_filled');
-								expect(logs[3]['type']).to.equal('order_processed');
-								logs.forEach((log) => {
-									log.data.id !== undefined
-										? expect(log.data.id).to.equal(data.id)
-										: expect(log.data[0].id).to.equal(data.id);
-								});
-							});
-					});
+				await client.createOrder(symbolPair, 'buy', 0.0001, 'limit', this.firstBid[0] + 1);
+				const order = await client.createOrder(symbolPair, 'sell', 0.0001, 'market');
+				const updates = await waitForStatus(orders, order.id, 'filled');
+				expect(updates[updates.length - 1].filled).to.equal(0.0001);
 			}
 		});
 	});
+
+	describe('#disconnect()', () => {
+		it('End the order stream', async () => {
+			await orders.return();
+			const { done } = await orders.next();
+			expect(done).to.equal(true);
+		});
+	});
 });
@@ -0,0 +1,49 @@
+const { URL } = require('url');
+const { expect } = require('chai');
+const { isFunction } = require('lodash');
+
+/**
+ * Create a transport that answers requests without a network and records them in calls
+ * @param {array|function} responses - Responses used in order, or a function receiving (req, url) and returning a response or a promise of one. A response that is an Error rejects the request
+ * @return {object} A transport with keys request and calls. Each call is the request with the key sentAt added
+ */
+const createFakeTransport = (responses = []) => {
+	const calls = [];
+	const request = (req) => {
+		calls.push({ ...req, sentAt: Date.now() });
+		const response = isFunction(responses) ? responses(req, new URL(req.url)) : responses.shift();
+		return Promise.resolve(response).then((result) => {
+			return result instanceof Error ? Promise.reject(result) : result;
+		});
+	};
+	return { calls, request };
+};
+
+/**
+ * @param {object} body - The body of the response
+ * @param {number} statusCode - The status code of the response. Default: 200
+ * @param {object} headers - The headers of the response. Default: {}
+ * @return {object} A response as resolved by a transport
+ */
+const respond = (body, statusCode = 200, headers = {}) => ({ statusCode, headers, body });
+
+/**
+ * @param {object} req - A recorded request
+ * @return {string} The method, path and query of the request e.g. 'GET /v2/ticker?symbol=xht-usdt'
+ */
+const formatCall = (req) => {
+	const url = new URL(req.url);
+	return `${req.method} ${url.pathname}${url.search}`;
+};
+
+const catchError = (promise) => promise.then(
+	() => expect.fail('should have rejected'),
+	(err) => err
+);
+
+module.exports = {
+	createFakeTransport,
+	respond,
+	formatCall,
+	catchError
+};
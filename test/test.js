@@ -7,4 +7,27 @@ function importTest(name, path) {
 describe('TESTS', () => {
 	importTest('REST API', './REST/restApiTest.js');
 	importTest('Websocket', './Websocket/websocketTest.js');
+	importTest('Transport', './Transport/transportTest.js');
+	importTest('Retry', './Retry/retryTest.js');
+	importTest('Rate limiter', './RateLimiter/rateLimiterTest.js');
+	importTest('Errors', './Errors/errorsTest.js');
+	importTest('Order validation', './Validation/validationTest.js');
+	importTest('OrderBook', './OrderBook/orderbookTest.js');
+	importTest('Client events', './Events/eventsTest.js');
+	importTest('Subscriptions', './Subscriptions/subscriptionsTest.js');
+	importTest('Streams', './Stream/streamTest.js');
+	importTest('Pagination', './Paginate/paginateTest.js');
+	importTest('Paper trading', './Paper/paperTest.js');
+	importTest('Order manager', './OrderManager/orderManagerTest.js');
+	importTest('Executions', './Executions/executionsTest.js');
+	importTest('Linked orders', './LinkedOrders/linkedOrdersTest.js');
+	importTest('Replace order', './Replace/replaceTest.js');
+	importTest('Batch orders', './Batch/batchTest.js');
+	importTest('Risk limits', './Risk/riskTest.js');
+	importTest('Portfolio', './Portfolio/portfolioTest.js');
+	importTest('Candles', './Candles/candlesTest.js');
+	importTest('Decimals', './Decimals/decimalsTest.js');
+	importTest('Execution estimate', './Estimate/estimateTest.js');
+	importTest('Quick trade', './QuickTrade/quickTradeTest.js');
+	importTest('Transfer tracker', './Transfers/transfersTest.js');
 });
@@ -0,0 +1,351 @@
+'use strict';
+
+const EventEmitter = require('events');
+const moment = require('moment');
+const { isNumber, isPlainObject, isString } = require('lodash');
+const { HollaExError, ValidationError } = require('./errors');
+const { toNumbers } = require('./decimals');
+const { toArray } = require('./utils');
+
+const TRANSFER_TYPES = ['deposit', 'withdrawal'];
+
+const TRANSFER_STATUSES = ['pending', 'processing', 'completed', 'rejected'];
+
+const FINAL_TRANSFER_STATUSES = ['completed', 'rejected'];
+
+/**
+ * Normalize the status of a deposit or withdrawal
+ * REST records carry the booleans status, processing, rejected and dismissed while websocket messages carry a status string
+ * @param {object} transfer - A deposit or withdrawal
+ * @return {string} The status. Enum: ['pending', 'processing', 'completed', 'rejected']
+ */
+const getTransferStatus = (transfer) => {
+	if (isString(transfer.status)) {
+		const status = transfer.status.toUpperCase();
+		if (['COMPLETED', 'CONFIRMED'].includes(status)) {
+			return 'completed';
+		}
+		if (['REJECTED', 'DISMISSED', 'CANCELED', 'CANCELLED', 'FAILED'].includes(status)) {
+			return 'rejected';
+		}
+		return status === 'PROCESSING' ? 'processing' : 'pending';
+	}
+	if (transfer.rejected || transfer.dismissed) {
+		return 'rejected';
+	}
+	if (transfer.status === true) {
+		return 'completed';
+	}
+	return transfer.processing ? 'processing' : 'pending';
+};
+
+class TransferTracker extends EventEmitter {
+	/**
+	 * Follow deposits and withdrawals until they complete from the deposit and withdrawal websocket topics and REST polling
+	 * @param {object} client - The HollaExKit client
+	 * @param {object} opts - Optional parameters
+	 * @param {number} opts.pollInterval - Time in milliseconds between two REST lookups of the unfinished transfers. Default: 10000
+	 */
+	constructor(client, opts = { pollInterval: 10000 }) {
+		super();
+		this.client = client;
+		this.pollInterval = isNumber(opts.pollInterval) ? opts.pollInterval : 10000;
+		this.tracked = [];
+		this.started = false;
+		this.timer = null;
+		this.onDeposit = (message) => this.handleMessage('deposit', toNumbers(message));
+		this.onWithdrawal = (message) => this.handleMessage('withdrawal', toNumbers(message));
+	}
+
+	/**
+	 * Start listening to the client and polling the unfinished transfers
+	 * @return {object} A promise resolving to the tracker once the tracked transfers are looked up
+	 */
+	start() {
+		if (!this.started) {
+			this.started = true;
+			this.client.on('deposit', this.onDeposit);
+			this.client.on('withdrawal', this.onWithdrawal);
+		}
+		return this.poll().then(() => {
+			this.schedule();
+			return this;
+		});
+	}
+
+	/**
+	 * Stop listening to the client and reject every pending wait
+	 */
+	stop() {
+		if (this.started) {
+			this.started = false;
+			this.client.removeListener('deposit', this.onDeposit);
+			this.client.removeListener('withdrawal', this.onWithdrawal);
+		}
+		clearTimeout(this.timer);
+		this.timer = null;
+		this.tracked.forEach((entry) => {
+			this.settleWaiters(entry, new HollaExError(`Transfer tracker stopped before the ${entry.type} completed`));
+		});
+	}
+
+	/**
+	 * Track a deposit or withdrawal
+	 * @param {string} type - The transfer type. Enum: ['deposit', 'withdrawal']
+	 * @param {object} match - How to find the transfer, with at least one of the keys id, transactionId or address
+	 * @param {number} match.id - The id of the transfer
+	 * @param {string} match.transactionId - The transaction id of the transfer
+	 * @param {string} match.address - The address of the transfer. Only transfers created from startDate on match
+	 * @param {string} match.currency - The currency of the transfer
+	 * @param {string} match.startDate - Date in ISO8601 format from which transfers match by address. Default: one minute before tracking
+	 * @return {object} The tracked transfer with keys type, status and transfer
+	 */
+	track(type, match = { id: null, transactionId: null, address: null, currency: null, startDate: null }) {
+		return this.getView(this.getEntry(type, match));
+	}
+
+	getEntry(type, match) {
+		if (!TRANSFER_TYPES.includes(type)) {
+			throw new ValidationError(`type must be one of ${TRANSFER_TYPES.join(', ')}`);
+		}
+		if (!isPlainObject(match) || (!match.id && !match.transactionId && !match.address)) {
+			throw new ValidationError('An id, transactionId or address is required to track a transfer');
+		}
+
+		const existing = this.tracked.find((entry) => {
+			return entry.type === type
+				&& entry.match.id === (match.id || null)
+				&& entry.match.transactionId === (match.transactionId || null)
+				&& entry.match.address === (match.address || null);
+		});
+		if (existing) {
+			return existing;
+		}
+
+		const entry = {
+			type,
+			match: {
+				id: match.id || null,
+				transactionId: match.transactionId || null,
+				address: match.address || null,
+				currency: match.currency || null,
+				startDate: match.startDate || moment().subtract(1, 'minute').toISOString()
+			},
+			status: null,
+			transfer: null,
+			waiters: []
+		};
+		this.tracked.push(entry);
+
+		if (this.started) {
+			this.lookup(entry).catch((err) => this.emitError(err));
+		}
+		return entry;
+	}
+
+	handleMessage(type, message) {
+		toArray(message.data).forEach((transfer) => {
+			this.tracked
+				.filter((entry) => entry.type === type && this.matches(entry, transfer))
+				.forEach((entry) => this.apply(entry, transfer));
+		});
+	}
+
+	matches(entry, transfer) {
+		// Once found, later updates must be about the same transfer
+		const known = entry.transfer || {};
+		if (known.id && transfer.id) {
+			return String(known.id) === String(transfer.id);
+		}
+		if (known.transaction_id && transfer.transaction_id) {
+			return known.transaction_id === transfer.transaction_id;
+		}
+
+		const { id, transactionId, address, currency, startDate } = entry.match;
+		if (currency && transfer.currency && currency !== transfer.currency) {
+			return false;
+		}
+		if (id) {
+			return String(id) === String(transfer.id);
+		}
+		if (transactionId) {
+			return transactionId === transfer.transaction_id;
+		}
+		return address === transfer.address
+			&& (!transfer.created_at || !moment(transfer.created_at).isBefore(moment(startDate)));
+	}
+
+	apply(entry, transfer) {
+		const previousStatus = entry.status;
+		const status = getTransferStatus(transfer);
+
+		// A lagging REST record or late message must not move the transfer back
+		if (FINAL_TRANSFER_STATUSES.includes(previousStatus) || TRANSFER_STATUSES.indexOf(status) < TRANSFER_STATUSES.indexOf(previousStatus)) {
+			return;
+		}
+
+		entry.transfer = { ...entry.transfer, ...transfer };
+		entry.status = status;
+
+		if (status !== previousStatus) {
+			const view = this.getView(entry);
+			this.emit('statusChange', view, previousStatus);
+			this.emit(status, view);
+		}
+		if (status === 'completed') {
+			this.settleWaiters(entry, null);
+		} else if (status === 'rejected') {
+			this.settleWaiters(entry, this.createRejectedError(entry));
+		}
+	}
+
+	/**
+	 * Look up every unfinished transfer through getDeposits and getWithdrawals
+	 * @return {object} A promise resolving once the lookups are applied
+	 */
+	poll() {
+		const pending = this.tracked.filter((entry) => !FINAL_TRANSFER_STATUSES.includes(entry.status));
+		return Promise.all(pending.map((entry) => this.lookup(entry))).then(() => undefined);
+	}
+
+	lookup(entry) {
+		const { transactionId, address, currency, startDate } = entry.match;
+		const filters = { limit: 50, orderBy: 'created_at', order: 'desc' };
+
+		if (currency) {
+			filters.currency = currency;
+		}
+		if (transactionId) {
+			filters.transactionId = transactionId;
+		} else if (address) {
+			filters.address = address;
+			filters.startDate = startDate;
+		}
+
+		const request = entry.type === 'deposit'
+			? this.client.getDeposits(filters)
+			: this.client.getWithdrawals(filters);
+
+		return request.then((response) => {
+			// The oldest match is the transfer made right after tracking started
+			const transfers = toArray(response && response.data).filter((transfer) => this.matches(entry, transfer));
+			if (transfers.length > 0) {
+				this.apply(entry, transfers[transfers.length - 1]);
+			}
+		});
+	}
+
+	schedule() {
+		clearTimeout(this.timer);
+		if (!this.started || this.pollInterval <= 0) {
+			return;
+		}
+		this.timer = setTimeout(() => {
+			this.poll()
+				.catch((err) => this.emitError(err))
+				.then(() => this.schedule());
+		}, this.pollInterval);
+		if (this.timer.unref) {
+			this.timer.unref();
+		}
+	}
+
+	emitError(err) {
+		if (this.listenerCount('error') > 0) {
+			this.emit('error', err);
+		}
+	}
+
+	createRejectedError(entry) {
+		const err = new HollaExError(`The ${entry.type} was rejected`);
+		err.transfer = this.getView(entry);
+		return err;
+	}
+
+	settleWaiters(entry, err) {
+		entry.waiters.forEach((waiter) => {
+			clearTimeout(waiter.timer);
+			if (err) {
+				waiter.reject(err);
+			} else {
+				waiter.resolve(this.getView(entry));
+			}
+		});
+		entry.waiters = [];
+	}
+
+	/**
+	 * Wait until a transfer completes, tracking it if needed
+	 * @param {string} type - The transfer type. Enum: ['deposit', 'withdrawal']
+	 * @param {object} match - How to find the transfer, as passed to track
+	 * @param {object} opts - Optional parameters
+	 * @param {number} opts.timeout - Time in milliseconds to wait before rejecting. Default: no timeout
+	 * @return {object} A promise resolving to the completed transfer, rejecting if it is rejected or the timeout expires
+	 */
+	waitFor(type, match, opts = { timeout: null }) {
+		let entry;
+		try {
+			entry = this.getEntry(type, match);
+		} catch (err) {
+			return Promise.reject(err);
+		}
+
+		if (entry.status === 'completed') {
+			return Promise.resolve(this.getView(entry));
+		}
+		if (entry.status === 'rejected') {
+			return Promise.reject(this.createRejectedError(entry));
+		}
+
+		return new Promise((resolve, reject) => {
+			const waiter = { resolve, reject, timer: null };
+			if (isNumber(opts.timeout)) {
+				waiter.timer = setTimeout(() => {
+					entry.waiters = entry.waiters.filter((item) => item !== waiter);
+					reject(new HollaExError(`Timed out waiting for the ${type} to complete`));
+				}, opts.timeout);
+			}
+			entry.waiters.push(waiter);
+		});
+	}
+
+	/**
+	 * Wait until a withdrawal completes
+	 * @param {number|object} id - The id of the withdrawal, or an object with keys id, transactionId, address, currency and startDate as passed to track
+	 * @param {object} opts - Optional parameters
+	 * @param {number} opts.timeout - Time in milliseconds to wait before rejecting. Default: no timeout
+	 * @return {object} A promise resolving to the completed withdrawal, rejecting if it is rejected or the timeout expires
+	 */
+	waitForWithdrawal(id, opts = { timeout: null }) {
+		return this.waitFor('withdrawal', isPlainObject(id) ? id : { id }, opts);
+	}
+
+	/**
+	 * Wait until a deposit completes
+	 * @param {number|object} id - The id of the deposit, or an object with keys id, transactionId, address, currency and startDate as passed to track
+	 * @param {object} opts - Optional parameters
+	 * @param {number} opts.timeout - Time in milliseconds to wait before rejecting. Default: no timeout
+	 * @return {object} A promise resolving to the completed deposit, rejecting if it is rejected or the timeout expires
+	 */
+	waitForDeposit(id, opts = { timeout: null }) {
+		return this.waitFor('deposit', isPlainObject(id) ? id : { id }, opts);
+	}
+
+	getView(entry) {
+		return { type: entry.type, status: entry.status, transfer: entry.transfer };
+	}
+
+	/**
+	 * @return {array} Every tracked transfer as objects with keys type, status(null until the transfer is found) and transfer
+	 */
+	getTransfers() {
+		return this.tracked.map((entry) => this.getView(entry));
+	}
+}
+
+module.exports = {
+	TRANSFER_TYPES,
+	TRANSFER_STATUSES,
+	getTransferStatus,
+	TransferTracker
+};
@@ -0,0 +1,77 @@
+'use strict';
+
+const http = require('http');
+const https = require('https');
+const { URL } = require('url');
+
+/**
+ * Create the default HTTP transport built on Node's native http/https modules
+ * A transport is any object with a request function that resolves to { statusCode, headers, body }
+ * @param {object} opts - Optional parameters
+ * @param {object} opts.agent - http.Agent to use for every request e.g. a keep-alive or proxy agent
+ * @param {number} opts.timeout - Socket timeout in milliseconds
+ * @return {object} A transport object with a request({ method, url, headers, body }) function
+ */
+const createTransport = (opts = { agent: null, timeout: null }) => {
+	const request = ({ method, url, headers = {}, body = null }) => {
+		return new Promise((resolve, reject) => {
+			const target = new URL(url);
+			const client = target.protocol === 'http:' ? http : https;
+			const requestHeaders = {};
+
+			Object.keys(headers).forEach((key) => {
+				if (headers[key] !== undefined && headers[key] !== null) {
+					requestHeaders[key] = headers[key];
+				}
+			});
+
+			if (body !== null && body !== undefined) {
+				requestHeaders['content-length'] = Buffer.byteLength(body);
+			}
+
+			const req = client.request(
+				target,
+				{
+					method,
+					headers: requestHeaders,
+					agent: opts.agent || undefined
+				},
+				(res) => {
+					const chunks = [];
+					res.on('data', (chunk) => chunks.push(chunk));
+					res.on('error', reject);
+					res.on('end', () => {
+						resolve({
+							statusCode: res.statusCode,
+							headers: res.headers,
+							body: Buffer.concat(chunks).toString()
+						});
+					});
+				}
+			);
+
+			req.on('error', reject);
+
+			if (opts.timeout) {
+				req.setTimeout(opts.timeout, () => {
+					const err = new Error(`Request timed out after ${opts.timeout}ms`);
+					// Lets the retry policy treat it like any other socket timeout
+					err.code = 'ETIMEDOUT';
+					req.destroy(err);
+				});
+			}
+
+			if (body !== null && body !== undefined) {
+				req.write(body);
+			}
+
+			req.end();
+		});
+	};
+
+	return { request };
+};
+
+module.exports = {
+	createTransport
+};
@@ -1,24 +1,55 @@
-const rp = require('request-promise');
 const crypto = require('crypto');
 const moment = require('moment');
-const { isDate } = require('lodash');
+const { isArray, isDate, isPlainObject, isString } = require('lodash');
+const { URL } = require('url');
+const { createTransport } = require('./transport');
+const { ValidationError, createResponseError, createNetworkError } = require('./errors');
 
-const createRequest = (verb, url, headers, opts = { data: null, formData: null }) => {
+const defaultTransport = createTransport();
+
+const parseBody = (body) => {
+	if (!isString(body)) {
+		return body;
+	}
+	try {
+		return JSON.parse(body);
+	} catch (err) {
+		return body;
+	}
+};
+
+const createRequest = (verb, url, headers, opts = { data: null, transport: null, onResponse: null }) => {
+	const transport = opts.transport || defaultTransport;
 	const requestObj = {
-		headers,
+		method: verb.toUpperCase(),
 		url,
-		json: true
+		headers
 	};
 
 	if (opts.data) {
-		requestObj.body = opts.data;
+		requestObj.body = JSON.stringify(opts.data);
 	}
 
-	if (opts.formData) {
-		requestObj.formData = opts.formData;
-	}
+	const { pathname } = new URL(url);
+
+	return transport.request(requestObj).then(
+		(response) => {
+			const body = parseBody(response.body);
+
+			if (opts.onResponse) {
+				opts.onResponse(response);
+			}
 
-	return rp[verb.toLowerCase()](requestObj);
+			if (response.statusCode < 200 || response.statusCode >= 300) {
+				throw createResponseError({ ...response, body }, pathname);
+			}
+
+			return body;
+		},
+		(err) => {
+			throw createNetworkError(err, pathname);
+		}
+	);
 };
 
 const createSignature = (secret = '', verb, path, expires, data = '') => {
@@ -52,7 +83,7 @@ const checkKit = (kit) => {
 };
 
 const parameterError = (parameter, msg) => {
-	return new Error(`Parameter ${parameter} error: ${msg}`);
+	return new ValidationError(`Parameter ${parameter} error: ${msg}`);
 };
 
 const isDatetime = (date, formats = [ moment.ISO_8601 ]) => {
@@ -68,6 +99,52 @@ const sanitizeDate = (date) => {
 	return result;
 };
 
+const generateId = () => {
+	const hex = crypto.randomBytes(16).toString('hex');
+	const variant = ((parseInt(hex[16], 16) & 0x3) | 0x8).toString(16);
+	return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-4${hex.slice(13, 16)}-${variant}${hex.slice(17, 20)}-${hex.slice(20)}`;
+};
+
+// Rounds away the float noise of sizes and amounts computed locally
+const round = (value) => Number(value.toFixed(8));
+
+const toArray = (data) => isArray(data) ? data : isPlainObject(data) ? [data] : [];
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Run an async function over every item with at most `concurrency` calls in flight
+ * @param {array} items - The items to process
+ * @param {number} concurrency - Maximum number of calls running at once
+ * @param {function} fn - Function receiving (item, index) and returning a promise
+ * @return {object} A promise resolving to an array of { success, value, error } in the order of the items
+ */
+const mapSettled = (items, concurrency, fn) => {
+	const results = new Array(items.length);
+	let next = 0;
+
+	const worker = () => {
+		if (next >= items.length) {
+			return Promise.resolve();
+		}
+		const index = next++;
+		return Promise.resolve()
+			.then(() => fn(items[index], index))
+			.then(
+				(value) => {
+					results[index] = { success: true, value };
+				},
+				(error) => {
+					results[index] = { success: false, error };
+				}
+			)
+			.then(worker);
+	};
+
+	const workers = Array.from({ length: Math.min(Math.max(concurrency, 1), items.length) }, worker);
+	return Promise.all(workers).then(() => results);
+};
+
 const isUrl = (url) => {
 	const pattern = /^(^|\s)((http(s)?:\/\/)?[\w-]+(\.[\w-]+)+\.?(:\d+)?(\/\S*)?)$/;
 	return pattern.test(url);
@@ -81,5 +158,10 @@ module.exports = {
 	parameterError,
 	isDatetime,
 	sanitizeDate,
-	isUrl
+	isUrl,
+	generateId,
+	mapSettled,
+	round,
+	toArray,
+	sleep
 };
@@ -0,0 +1,138 @@
+'use strict';
+
+const { isNumber, isPlainObject } = require('lodash');
+const { parameterError } = require('./utils');
+const { Decimal, isNumeric, formatToIncrement } = require('./decimals');
+
+const getDecimals = (value) => {
+	const [coefficient, exponent] = value.toString().toLowerCase().split('e');
+	const decimals = (coefficient.split('.')[1] || '').length;
+	return Math.max(decimals - Number(exponent || 0), 0);
+};
+
+/**
+ * Check whether a value is a multiple of an increment, tolerating float representation errors
+ * @param {number} value - The value to check
+ * @param {number} increment - The increment e.g. 0.001
+ * @return {boolean} True if the value is a multiple of the increment
+ */
+const isMultipleOf = (value, increment) => {
+	if (!isNumber(increment) || increment <= 0) {
+		return true;
+	}
+	const steps = value / increment;
+	return Math.abs(steps - Math.round(steps)) < 1e-8;
+};
+
+/**
+ * Round a value to a multiple of an increment
+ * @param {number} value - The value to round
+ * @param {number} increment - The increment e.g. 0.001
+ * @param {string} mode - Rounding mode. Enum: ['round', 'floor', 'ceil']. Default: 'round'
+ * @return {number} The rounded value
+ */
+const roundToIncrement = (value, increment, mode = 'round') => {
+	if (!isNumber(increment) || increment <= 0) {
+		return value;
+	}
+	const steps = Math[mode](Number((value / increment).toFixed(8)));
+	return Number((steps * increment).toFixed(getDecimals(increment)));
+};
+
+/**
+ * Validate an order against the constants of its pair
+ * @param {object} pairs - The pairs object returned by getConstants
+ * @param {object} order - The order with keys symbol, side, size, type and price
+ * @param {object} opts - Optional parameters
+ * @param {boolean} opts.round - Round size down to increment_size and price to the tick size instead of rejecting them
+ * @return {object} The order with its size and price rounded when requested
+ */
+const validateOrder = (pairs, order, opts = { round: false }) => {
+	const pair = isPlainObject(pairs) ? pairs[order.symbol] : null;
+	let { size, price } = order;
+
+	if (!pair) {
+		throw parameterError('symbol', `${order.symbol} is not a valid symbol`);
+	}
+
+	if (order.side !== 'buy' && order.side !== 'sell') {
+		throw parameterError('side', 'side must be buy or sell');
+	}
+
+	if (order.type !== 'limit' && order.type !== 'market') {
+		throw parameterError('type', 'type must be limit or market');
+	}
+
+	if (!isNumber(size) || size <= 0) {
+		throw parameterError('size', 'size must be a positive number');
+	}
+
+	if (opts.round) {
+		size = roundToIncrement(size, pair.increment_size, 'floor');
+	} else if (!isMultipleOf(size, pair.increment_size)) {
+		throw parameterError('size', `size must be a multiple of ${pair.increment_size}`);
+	}
+
+	if (isNumber(pair.min_size) && size < pair.min_size) {
+		throw parameterError('size', `size must be at least ${pair.min_size}`);
+	}
+
+	if (isNumber(pair.max_size) && size > pair.max_size) {
+		throw parameterError('size', `size must be at most ${pair.max_size}`);
+	}
+
+	if (order.type === 'limit') {
+		const tickSize = pair.increment_price || pair.tick_size;
+
+		if (!isNumber(price) || price <= 0) {
+			throw parameterError('price', 'price is required for limit orders');
+		}
+
+		if (opts.round) {
+			price = roundToIncrement(price, tickSize);
+		} else if (!isMultipleOf(price, tickSize)) {
+			throw parameterError('price', `price must be a multiple of ${tickSize}`);
+		}
+
+		if (isNumber(pair.min_price) && price < pair.min_price) {
+			throw parameterError('price', `price must be at least ${pair.min_price}`);
+		}
+
+		if (isNumber(pair.max_price) && price > pair.max_price) {
+			throw parameterError('price', `price must be at most ${pair.max_price}`);
+		}
+	}
+
+	return { ...order, size, price };
+};
+
+/**
+ * Format the size, price and stop of an order to the increments of its pair
+ * Values given as numbers, numeric strings or Decimals are returned as numbers, anything else is left for validation to reject
+ * @param {object} pairs - The pairs object returned by getConstants
+ * @param {object} order - The order with keys symbol, side, size, type, price and stop
+ * @return {object} The order with its size rounded down to increment_size and its price and stop rounded to the tick size
+ */
+const formatOrder = (pairs, order) => {
+	const pair = (isPlainObject(pairs) && pairs[order.symbol]) || {};
+	const tickSize = pair.increment_price || pair.tick_size;
+	const format = (value, increment, mode) => {
+		return isNumeric(value) || Decimal.isDecimal(value)
+			? formatToIncrement(value, increment, mode)
+			: value;
+	};
+
+	return {
+		...order,
+		size: format(order.size, pair.increment_size, 'floor'),
+		price: order.type === 'limit' ? format(order.price, tickSize) : order.price,
+		stop: format(order.stop, tickSize)
+	};
+};
+
+module.exports = {
+	isMultipleOf,
+	roundToIncrement,
+	validateOrder,
+	formatOrder
+};